@@ -0,0 +1,131 @@
+// Achievements
+// Unlocked by what happens in play, tracked off the simulation's own events (see the event table in
+// the README). Unlocked achievements are kept in localStorage.
+//
+// Each achievement lists the events it follows in `on`. A handler gets the achievement's progress for
+// the current level (a fresh `start()` at every levelStart), the event detail and the simulation, and
+// unlocks the achievement by returning true. A level resumed from a snapshot (continue, undo) isn't
+// tracked, since what happened before the snapshot is unknown.
+
+import { getDateKey } from './daily.js';
+
+const ACHIEVEMENTS_KEY = 'vibe-star-chase-achievements';
+
+// Note a player tile on or next to lava
+function checkLava(progress, tile, sim) {
+    const { tiles, lavaTiles } = sim.state;
+    if (lavaTiles.has(tile) || tiles[tile].neighbors.some(neighbor => lavaTiles.has(neighbor))) {
+        progress.nearLava = true;
+    }
+}
+
+// A step (or carry, or teleport) that ended by lava
+const checkLavaStep = (progress, { to }, sim) => checkLava(progress, to, sim);
+
+// Lava by the player where they stand - at the start, and once lava has spread up to them
+const checkLavaHere = (progress, detail, sim) => checkLava(progress, sim.state.playerTile, sim);
+
+export const ACHIEVEMENTS = [
+    {
+        id: 'no-portals',
+        title: 'The Long Way Round',
+        description: 'Finish a round without using a portal',
+        start: () => ({ teleported: false }),
+        on: {
+            teleport: progress => { progress.teleported = true; },
+            gameOver: (progress, { playerWins }) => playerWins && !progress.teleported
+        }
+    },
+    {
+        id: 'orb-hat-trick',
+        title: 'Hat Trick',
+        description: 'Catch three different enemies during one power orb',
+        start: () => ({ caught: new Set() }), // Enemies caught during the current orb
+        on: {
+            orbCollected: progress => { progress.caught.clear(); },
+            enemyCaught: (progress, { enemy }) => progress.caught.add(enemy).size >= 3
+        }
+    },
+    {
+        id: 'lava-clear',
+        title: 'Cool Feet',
+        description: 'Clear level 8 without ever standing next to lava',
+        start: () => ({ nearLava: false }),
+        on: {
+            levelStart: checkLavaHere,
+            playerMove: checkLavaStep,
+            playerCarry: checkLavaStep,
+            teleport: checkLavaStep,
+            hazardChange: checkLavaHere,
+            turnEnd: checkLavaHere,
+            gameOver: (progress, { playerWins }, sim) => playerWins && sim.state.round === 8 && !progress.nearLava
+        }
+    },
+    {
+        id: 'autopilot',
+        title: 'Autopilot',
+        description: 'Win a round using only auto-path moves',
+        start: () => ({ manual: false }),
+        on: {
+            playerMove: (progress, { source }) => {
+                if (source !== 'auto') progress.manual = true;
+            },
+            gameOver: (progress, { playerWins }) => playerWins && !progress.manual
+        }
+    }
+];
+
+// Unlocked achievements: id -> date unlocked (YYYY-MM-DD)
+export function loadUnlocked() {
+    try {
+        return JSON.parse(localStorage.getItem(ACHIEVEMENTS_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveUnlocked(unlocked) {
+    try {
+        localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(unlocked));
+    } catch (e) {
+        // Ignore storage errors - the achievement still shows for this visit
+    }
+}
+
+export class AchievementTracker {
+    // isActive() says whether play counts right now (not during replays, say);
+    // onUnlock(achievement) runs once for each newly unlocked achievement
+    constructor(sim, { isActive = () => true, onUnlock = () => {} } = {}) {
+        this.sim = sim;
+        this.isActive = isActive;
+        this.onUnlock = onUnlock;
+        this.unlocked = loadUnlocked();
+        this.progress = new Map(); // Achievement id -> progress this level (none while untracked)
+
+        sim.on('levelStart', () => {
+            this.progress.clear();
+            ACHIEVEMENTS.forEach(achievement => this.progress.set(achievement.id, achievement.start()));
+        });
+        sim.on('restore', () => this.progress.clear());
+
+        // One listener per event any achievement follows
+        const eventTypes = new Set(ACHIEVEMENTS.flatMap(achievement => Object.keys(achievement.on)));
+        eventTypes.forEach(type => sim.on(type, detail => this.handleEvent(type, detail)));
+    }
+
+    handleEvent(type, detail) {
+        if (!this.isActive()) return;
+        ACHIEVEMENTS.forEach(achievement => {
+            const handler = achievement.on[type];
+            const progress = this.progress.get(achievement.id);
+            if (!handler || !progress || this.unlocked[achievement.id]) return;
+            if (handler(progress, detail, this.sim)) this.unlock(achievement);
+        });
+    }
+
+    unlock(achievement) {
+        this.unlocked[achievement.id] = getDateKey();
+        saveUnlocked(this.unlocked);
+        this.onUnlock(achievement);
+    }
+}
@@ -0,0 +1,61 @@
+// Daily challenge
+// One fixed level per calendar day (UTC, so the whole team gets the same board wherever they are).
+// The date picks the seed and the level, which together fix planet size, hazards and gem positions.
+// The player's best result for each day is kept in localStorage.
+
+import { parseSeed } from './random.js';
+
+const DAILY_KEY = 'vibe-star-chase-daily';
+
+// Daily levels range over these levels (water and the power orb from 3, largest planets and lava at 8+)
+const MIN_DAILY_LEVEL = 3;
+const MAX_DAILY_LEVEL = 9;
+
+// Date as YYYY-MM-DD (UTC)
+export function getDateKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+// The challenge for a given day: { dateKey, seed, level }
+export function getDailyChallenge(date = new Date()) {
+    const dateKey = getDateKey(date);
+    const seed = parseSeed(`daily-${dateKey}`);
+    const level = MIN_DAILY_LEVEL + (seed % (MAX_DAILY_LEVEL - MIN_DAILY_LEVEL + 1));
+    return { dateKey, seed, level };
+}
+
+// Whether result a beats result b: surviving first, then more gems, then fewer moves
+export function isBetterResult(a, b) {
+    if (!b) return true;
+    if (a.survived !== b.survived) return a.survived;
+    if (a.gems !== b.gems) return a.gems > b.gems;
+    return a.moves < b.moves;
+}
+
+function loadResults() {
+    try {
+        return JSON.parse(localStorage.getItem(DAILY_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+// Best result recorded for a day, or null
+export function getBestResult(dateKey) {
+    return loadResults()[dateKey] || null;
+}
+
+// Record a finished attempt - returns true if it is the new best for that day
+// result: { survived, gems, totalGems, moves }
+export function recordResult(dateKey, result) {
+    const results = loadResults();
+    if (!isBetterResult(result, results[dateKey])) return false;
+
+    results[dateKey] = result;
+    try {
+        localStorage.setItem(DAILY_KEY, JSON.stringify(results));
+    } catch (e) {
+        // Ignore storage errors - the best result just isn't kept
+    }
+    return true;
+}
@@ -0,0 +1,231 @@
+// Level editor
+// Hand-made levels are layouts (the parsed level files of levels.js) painted tile by tile in the
+// editor and then played through Simulation.loadLevel. No Three.js and no DOM - the renderer
+// wires the tools to clicks.
+
+import {
+    Simulation, ORB_DURATION, MAX_ENEMIES, MAX_SUBDIVISIONS, PORTAL_SWITCH_TURNS, getRadiusForSubdivisions, getTileAhead
+} from './simulation.js';
+
+// Painting tools, in the order the editor panel shows them
+export const EDITOR_TOOLS = [
+    'blocked', 'water', 'lava', 'ice', 'mud', 'crumbling', 'conveyor', 'portal', 'gem', 'orb', 'enemy', 'player', 'erase'
+];
+
+// Planet sizes the editor offers (1 = 42 tiles, 2 = 162 tiles ... up to the largest planet)
+export const EDITOR_SUBDIVISIONS = Array.from({ length: MAX_SUBDIVISIONS }, (_, i) => i + 1);
+
+const TERRAIN_TYPES = ['blocked', 'water', 'lava', 'ice', 'mud', 'crumbling', 'conveyor', 'portal'];
+
+// Blank layout for a tile graph: pentagons are blocked (as in generated levels), the player
+// starts on the first hexagon and there are no gems yet
+export function createEmptyLayout(tiles, subdivisions) {
+    const pentagons = tiles.filter(tile => tile.isPentagon).map(tile => tile.index);
+    const start = tiles.find(tile => !tile.isPentagon);
+    return {
+        name: '',
+        subdivisions,
+        radius: getRadiusForSubdivisions(subdivisions),
+        tiles: { blocked: pentagons, water: [], lava: [], ice: [], mud: [], crumbling: [], conveyor: [], portal: [] },
+        gems: [],
+        orb: null,
+        enemies: [],
+        playerStart: start.index,
+        rules: { enemyCount: 0, orbDuration: ORB_DURATION, enemyTypes: [], enemyPortals: false, tide: false, lavaFlow: false, portals: [] }
+    };
+}
+
+// Tiles of a terrain type in a layout - conveyors are listed as [tile, tile it pushes onto] pairs
+function getTerrainTiles(layout, type) {
+    return type === 'conveyor' ? layout.tiles.conveyor.map(([tile]) => tile) : layout.tiles[type];
+}
+
+// Terrain type of a tile in a layout ('normal' if none)
+export function getTileType(layout, tileIndex) {
+    return TERRAIN_TYPES.find(type => getTerrainTiles(layout, type).includes(tileIndex)) || 'normal';
+}
+
+function removeFrom(list, tileIndex) {
+    const index = list.indexOf(tileIndex);
+    if (index !== -1) list.splice(index, 1);
+}
+
+function removeTerrain(layout, tileIndex) {
+    TERRAIN_TYPES.forEach(type => {
+        if (type !== 'conveyor' && type !== 'portal') removeFrom(layout.tiles[type], tileIndex);
+    });
+    const conveyor = layout.tiles.conveyor.findIndex(([tile]) => tile === tileIndex);
+    if (conveyor !== -1) layout.tiles.conveyor.splice(conveyor, 1);
+    removePortal(layout, tileIndex);
+}
+
+// Add a portal: it pairs with a portal still waiting for its partner, or starts a new two-way pair
+function addPortal(layout, tileIndex) {
+    const { portal } = layout.tiles;
+    if (portal.length % 2 === 0) {
+        layout.rules.portals.push({ oneWay: false, switchTurns: 0 });
+    }
+    portal.push(tileIndex);
+}
+
+// Remove a portal and its pair - the other end waits for a new partner at the end of the list
+function removePortal(layout, tileIndex) {
+    const { portal } = layout.tiles;
+    const index = portal.indexOf(tileIndex);
+    if (index === -1) return;
+    const pair = index >> 1;
+    const partner = portal[index ^ 1];
+    portal.splice(pair * 2, 2);
+    layout.rules.portals.splice(pair, 1);
+    if (partner !== undefined) addPortal(layout, partner);
+}
+
+// Painting a portal again changes its pair's kind: two-way, then one-way from this tile, then timed
+// (open every other PORTAL_SWITCH_TURNS enemy turns), then back to two-way
+function cyclePortal(layout, tileIndex) {
+    const { portal } = layout.tiles;
+    const index = portal.indexOf(tileIndex);
+    const pair = index >> 1;
+    const partner = portal[index ^ 1];
+    if (partner === undefined) return; // Still waiting for its partner
+
+    const kind = layout.rules.portals[pair];
+    if (kind.switchTurns) {
+        layout.rules.portals[pair] = { oneWay: false, switchTurns: 0 };
+    } else if (kind.oneWay) {
+        layout.rules.portals[pair] = { oneWay: false, switchTurns: PORTAL_SWITCH_TURNS };
+    } else {
+        layout.rules.portals[pair] = { oneWay: true, switchTurns: 0 };
+        // The entrance of a one-way pair comes first
+        portal[pair * 2] = tileIndex;
+        portal[pair * 2 + 1] = partner;
+    }
+}
+
+// Lay a conveyor on a tile, or turn an existing one to push onto its next neighbor
+// Painting next to the last conveyor laid continues its belt: that one now pushes onto this tile,
+// and this one straight on
+function paintConveyor(layout, tiles, tileIndex) {
+    const { neighbors } = tiles[tileIndex];
+    const existing = layout.tiles.conveyor.find(([tile]) => tile === tileIndex);
+    if (existing) {
+        existing[1] = neighbors[(neighbors.indexOf(existing[1]) + 1) % neighbors.length];
+        return;
+    }
+
+    const last = layout.tiles.conveyor[layout.tiles.conveyor.length - 1];
+    let toward = neighbors.find(neighbor => !layout.tiles.blocked.includes(neighbor)) ?? neighbors[0];
+    if (last && neighbors.includes(last[0])) {
+        last[1] = tileIndex;
+        toward = getTileAhead(tiles, last[0], tileIndex) ?? toward;
+    }
+    removeTerrain(layout, tileIndex);
+    layout.tiles.conveyor.push([tileIndex, toward]);
+}
+
+// Apply a painting tool to a tile of the layout's tile graph
+// Returns the tiles whose terrain changed (their meshes need rebuilding)
+export function applyTool(layout, tool, tileIndex, tiles) {
+    const changed = [];
+    // Portal colors follow the pairs' order, so changing one pair can restyle every portal
+    const portalsBefore = layout.tiles.portal.slice();
+    const kindsBefore = JSON.stringify(layout.rules.portals);
+
+    if (tool === 'conveyor') {
+        paintConveyor(layout, tiles, tileIndex);
+        changed.push(tileIndex);
+    } else if (tool === 'portal' && layout.tiles.portal.includes(tileIndex)) {
+        cyclePortal(layout, tileIndex);
+    } else if (TERRAIN_TYPES.includes(tool)) {
+        if (getTileType(layout, tileIndex) === tool) return changed;
+
+        // A tile has one terrain type
+        removeTerrain(layout, tileIndex);
+        if (tool === 'portal') {
+            addPortal(layout, tileIndex);
+        } else {
+            layout.tiles[tool].push(tileIndex);
+        }
+        changed.push(tileIndex);
+    } else if (tool === 'gem') {
+        if (layout.gems.includes(tileIndex)) {
+            removeFrom(layout.gems, tileIndex);
+        } else {
+            layout.gems.push(tileIndex);
+        }
+    } else if (tool === 'orb') {
+        layout.orb = layout.orb === tileIndex ? null : tileIndex;
+    } else if (tool === 'enemy') {
+        if (layout.enemies.includes(tileIndex)) {
+            removeFrom(layout.enemies, tileIndex);
+        } else if (layout.enemies.length < MAX_ENEMIES) {
+            layout.enemies.push(tileIndex);
+            // Every placed spawn gets an enemy
+            layout.rules.enemyCount = Math.max(layout.rules.enemyCount, layout.enemies.length);
+        }
+    } else if (tool === 'player') {
+        layout.playerStart = tileIndex;
+    } else if (tool === 'erase') {
+        // Everything except the player start, which always exists
+        if (getTileType(layout, tileIndex) !== 'normal') {
+            removeTerrain(layout, tileIndex);
+            changed.push(tileIndex);
+        }
+        removeFrom(layout.gems, tileIndex);
+        removeFrom(layout.enemies, tileIndex);
+        if (layout.orb === tileIndex) layout.orb = null;
+    }
+
+    if (layout.tiles.portal.join() !== portalsBefore.join() || JSON.stringify(layout.rules.portals) !== kindsBefore) {
+        changed.push(...portalsBefore, ...layout.tiles.portal);
+    }
+    return Array.from(new Set(changed));
+}
+
+// Check a layout is playable on its tile graph - returns a list of problems (empty = playable)
+// Reachability uses the simulation's own water-avoiding findPath, exactly as auto-pathing does
+export function validateLayout(layout, tiles) {
+    const problems = [];
+    const sim = new Simulation();
+    sim.loadLevel(layout, tiles);
+    const { blockedTiles, waterTiles, lavaTiles } = sim.state;
+    const isHazard = tile => blockedTiles.has(tile) || waterTiles.has(tile) || lavaTiles.has(tile);
+    const start = layout.playerStart;
+
+    if (isHazard(start)) {
+        problems.push('The player start is on a blocked, water or lava tile');
+    }
+    if (layout.gems.length === 0) {
+        problems.push('Place at least one gem');
+    }
+    if (layout.tiles.portal.length % 2 === 1) {
+        problems.push('Portals come in pairs - place a partner for the last portal');
+    }
+    layout.tiles.conveyor.forEach(([tile, toward]) => {
+        if (!sim.isNeighbor(tile, toward)) {
+            problems.push(`The conveyor on tile ${tile} doesn't push onto a neighboring tile`);
+        }
+    });
+
+    layout.gems.forEach((gem, i) => {
+        if (isHazard(gem)) {
+            problems.push(`Gem ${i + 1} is on a blocked, water or lava tile`);
+        } else if (!isHazard(start) && !sim.findPath(start, gem)) {
+            problems.push(`Gem ${i + 1} can't be reached from the start`);
+        }
+    });
+
+    if (layout.orb !== null && isHazard(layout.orb)) {
+        problems.push('The orb is on a blocked, water or lava tile');
+    }
+
+    layout.enemies.forEach((enemy, i) => {
+        if (blockedTiles.has(enemy)) {
+            problems.push(`Enemy ${i + 1} starts on a blocked tile`);
+        } else if (enemy === start || sim.isNeighbor(start, enemy)) {
+            problems.push(`Enemy ${i + 1} starts next to the player`);
+        }
+    });
+
+    return problems;
+}
@@ -1,5 +1,20 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { createRng, randomSeed, parseSeed } from './random.js';
+import { GeodesicHexSphere, tileGraphFromSphere } from './geodesic.js';
+import { PlanetMesh } from './planetmesh.js';
+import {
+    Simulation, getPlanetParamsForLevel, getRadiusForSubdivisions, getCellCount, getTileAhead, MAX_ENEMIES, ENEMY_TYPES,
+    DIFFICULTIES, DEFAULT_DIFFICULTY, POWER_UPS, POWER_UP_TYPES, SCORING, SCORE_PARTS
+} from './simulation.js';
+import { ReplayPlayer, REPLAY_SPEEDS } from './replay.js';
+import { saveRun, loadRun, clearRun } from './save.js';
+import { getDailyChallenge, getBestResult, recordResult } from './daily.js';
+import { AchievementTracker, ACHIEVEMENTS } from './achievements.js';
+import { loadRuns, recordRun, getHighScores, getRunStats, DEATH_CAUSES, HIGH_SCORE_COUNT } from './history.js';
+import { loadSettings, saveSettings } from './settings.js';
+import { EDITOR_TOOLS, EDITOR_SUBDIVISIONS, createEmptyLayout, applyTool, validateLayout } from './editor.js';
+import { toLevelFile, loadLevelFromFile, loadLevelFromUrl } from './levels.js';
 
 // Sound effect
 const gemSound = new Audio('sound1.m4a');
@@ -10,31 +25,59 @@ function playGemSound() {
     gemSound.play().catch(() => {}); // Ignore autoplay restrictions
 }
 
-// Game state
+// Game rules (headless) - the renderer and HUD below subscribe to its events
+const sim = new Simulation();
+
+// Achievements count in real play - not in replays, the editor or hand-made levels
+const achievements = new AchievementTracker(sim, {
+    isActive: () => !state.replay && ['normal', 'practice', 'daily'].includes(state.mode),
+    onUnlock: showAchievementToast
+});
+
+// How long an achievement toast stays up (ms)
+const ACHIEVEMENT_TOAST_TIME = 4000;
+
+// Practice mode keeps this many turns of undo history
+const UNDO_LIMIT = 50;
+
+// Lives in a normal run: a run starts with STARTING_LIVES, every EXTRA_LIFE_ROUNDS rounds cleared earn
+// another (up to MAX_LIVES) and a lost round costs one - the round can be retried while any are left
+const STARTING_LIVES = 3;
+const EXTRA_LIFE_ROUNDS = 3;
+const MAX_LIVES = 5;
+
+// How the HUD and round summary name each way of losing a round (see Simulation.endLevel)
+const DEATH_LABELS = { caught: 'caught', drowned: 'drowned', burned: 'burned' };
+
+// How round summaries name each part of the score (see SCORING)
+const SCORE_LABELS = { gem: 'gems', combo: 'combos', enemy: 'enemies caught', escape: 'close escapes', efficiency: 'efficiency' };
+
+// How long both ends of a portal flare after someone goes through (ms)
+const PORTAL_FLASH_DURATION = 600;
+
+// Colors of the portal pairs in order (the first pair is green; planets with more pairs than colors reuse them)
+const PORTAL_COLORS = [0x00ff88, 0x33ddff, 0xff44ff, 0x9966ff, 0xeeeeff, 0x00ccaa, 0xff88cc, 0xbbff33];
+
+// How long a caught enemy's ghost takes to fly back to its spawn (ms)
+const GHOST_FLIGHT_DURATION = 1500;
+
+// Render and UI state (rule state lives in sim.state)
 const state = {
-    playerTile: null,
-    enemyTiles: [],
-    tiles: [],
+    tiles: [],              // Tile records { index, center, neighbors, isPentagon }, indexed like sim.state.tiles
+    planetMesh: null,       // Merged mesh drawing every tile
+    highlightedTiles: new Set(), // Tiles glowing as moves (reset before the next highlight)
     playerMesh: null,
-    enemyMeshes: [],
-    gameOver: false,
-    moveCount: 0,
-    portalTiles: [], // Two portal tile indices
-    blockedTiles: new Set(), // Tall impassable tiles (Giant's Causeway style)
-    waterTiles: new Set(), // Water tiles - player drowns if they step on these
-    lavaTiles: new Set(), // Lava tiles - player dies, but auto-path doesn't avoid them
+    enemyMeshes: [],        // Enemy markers, one per enemy - grows with the biggest enemy count so far
     portalEffects: [], // Visual effects for portals
-    // Power orb - player gets 2 moves per enemy move for 10 enemy turns
-    orbTile: null,          // Tile index where orb is placed
+    conveyorArrows: null,   // Group of arrows along the conveyor belts (in the planet group)
+    ghostFlights: [],       // Caught enemies' ghosts flying home: { marker, from, to (Vector3), start }
     orbMesh: null,          // Visual orb object
-    orbActive: false,       // Whether orb power is currently active
-    orbMovesRemaining: 0,   // Enemy turns left with orb power
-    orbPlayerMovesLeft: 0,  // Player moves left before enemies move (2 when orb active)
-    gemTiles: [], // Tiles with collectible gems
-    gemMeshes: [], // Visual gem objects
-    gemsCollected: 0,
-    totalGems: 5,
-    round: 1,
+    gemMeshes: [], // Visual gem objects, in the same order as sim.state.gemTiles
+    powerUpMeshes: [],      // Power-up pickups, in the same order as sim.state.powerUps
+    decoyMesh: null,        // Decoy the enemies hunt while it lasts
+    shieldBubble: null,     // Bubble round the player while they hold a shield
+    radarPaths: null,       // Group of lines along the paths to every gem while the radar runs
+    blinkArmed: false,      // Whether the next tile picked is a blink target
     // Smooth camera tracking (follows player while rotating around planet center)
     cameraTargetPosition: new THREE.Vector3(),
     cameraIsTracking: false,
@@ -48,10 +91,29 @@ const state = {
     // Auto-pathfinding queue
     pathQueue: [],              // Array of tile indices to move through
     isAutoMoving: false,        // Whether auto-movement is in progress
+    // Game mode: 'normal' (ranked progression), 'practice' (turns can be undone), 'daily',
+    // 'editor' (painting a level) or 'custom' (playing a hand-made level)
+    mode: 'normal',
+    daily: null,                // Today's challenge { dateKey, seed, level } in daily mode
+    settings: loadSettings(),   // Player settings that carry over between visits ({ difficulty, stealth })
+    dailyNewBest: false,        // Whether the last daily attempt set a new best for the day
+    undoStack: [],              // Snapshots taken before each player move (newest last)
+    lives: STARTING_LIVES,      // Lives left in a normal run
+    deaths: [],                 // Rounds lost this run: { round, reason }
+    lifeEarned: false,          // Whether the round just won earned an extra life
+    runScore: 0,                // Score of the rounds won this run (normal mode)
+    runMoves: 0,                // Moves made this run, in every round played (normal mode)
+    runGems: 0,                 // Gems collected this run, in every round played (normal mode)
+    runPlace: 0,                // Place of the run that just ended in the high-score table (0 = not in it)
+    runRanked: true,            // Whether the run goes into the run history - not once it has skipped levels (normal mode)
+    // Move recording and replay
+    runRecordings: [],          // Recording of every finished level this session (seed + moves)
+    replay: null,               // ReplayPlayer while a replay is being watched (input disabled)
     // Planet configuration
     planetGroup: null,          // Reference to planet group for regeneration
-    baseRadius: 20,             // Base planet radius at level 1
-    baseSubdivisions: 3,        // Base subdivisions at level 1 (gives ~642 cells: 10 * 4^3 + 2)
+    // Hand-made levels (see levels.js)
+    customLevel: null,          // Layout being played in 'custom' mode
+    editor: null,               // Level editor: { layout, tool } while editing (and play-testing) a level
     // Intro animation
     introPlaying: false,        // Whether intro animation is playing
     introStartTime: 0,          // When intro started
@@ -117,8 +179,8 @@ controls.addEventListener('start', () => {
 
 // Update key labels when user rotates/pans camera
 controls.addEventListener('change', () => {
-    if (state.playerTile !== null && !state.gameOver) {
-        updateKeyLabels(state.playerTile);
+    if (sim.state.playerTile !== null && !sim.state.gameOver) {
+        updateKeyLabels(sim.state.playerTile);
     }
 });
 
@@ -191,257 +253,13 @@ function createKeyLabel(text, highlight = false) {
     return sprite;
 }
 
-// Geodesic Hexagonal Sphere using subdivided icosahedron
-// This creates a proper hex grid with 12 pentagons at icosahedron vertices
-
-class GeodesicHexSphere {
-    constructor(radius, subdivisions) {
-        this.radius = radius;
-        this.subdivisions = subdivisions;
-        this.vertices = [];
-        this.faces = [];
-        this.cells = []; // hex/pentagon cells
-        this.vertexToCell = new Map();
-
-        this.generateIcosahedron();
-        this.subdivide();
-        this.generateDualMesh();
-    }
-
-    generateIcosahedron() {
-        // Golden ratio
-        const t = (1 + Math.sqrt(5)) / 2;
-
-        // Icosahedron vertices
-        const verts = [
-            [-1,  t,  0], [ 1,  t,  0], [-1, -t,  0], [ 1, -t,  0],
-            [ 0, -1,  t], [ 0,  1,  t], [ 0, -1, -t], [ 0,  1, -t],
-            [ t,  0, -1], [ t,  0,  1], [-t,  0, -1], [-t,  0,  1]
-        ];
-
-        // Normalize to unit sphere
-        verts.forEach(v => {
-            const len = Math.sqrt(v[0]*v[0] + v[1]*v[1] + v[2]*v[2]);
-            this.vertices.push(new THREE.Vector3(v[0]/len, v[1]/len, v[2]/len));
-        });
-
-        // Icosahedron faces (20 triangles)
-        this.faces = [
-            [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
-            [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
-            [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
-            [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1]
-        ];
-    }
-
-    getMidpoint(v1, v2) {
-        const mid = new THREE.Vector3().addVectors(v1, v2).normalize();
-        return mid;
-    }
-
-    getVertexKey(v) {
-        return `${v.x.toFixed(6)},${v.y.toFixed(6)},${v.z.toFixed(6)}`;
-    }
-
-    subdivide() {
-        for (let i = 0; i < this.subdivisions; i++) {
-            const newFaces = [];
-            const midpointCache = new Map();
-
-            const getMidpointIndex = (i1, i2) => {
-                const key = i1 < i2 ? `${i1}-${i2}` : `${i2}-${i1}`;
-                if (midpointCache.has(key)) {
-                    return midpointCache.get(key);
-                }
-                const mid = this.getMidpoint(this.vertices[i1], this.vertices[i2]);
-                const idx = this.vertices.length;
-                this.vertices.push(mid);
-                midpointCache.set(key, idx);
-                return idx;
-            };
-
-            for (const face of this.faces) {
-                const [a, b, c] = face;
-                const ab = getMidpointIndex(a, b);
-                const bc = getMidpointIndex(b, c);
-                const ca = getMidpointIndex(c, a);
-
-                newFaces.push([a, ab, ca]);
-                newFaces.push([b, bc, ab]);
-                newFaces.push([c, ca, bc]);
-                newFaces.push([ab, bc, ca]);
-            }
-
-            this.faces = newFaces;
-        }
-    }
-
-    generateDualMesh() {
-        // Build vertex to faces mapping
-        const vertexFaces = new Map();
-
-        this.faces.forEach((face, faceIdx) => {
-            face.forEach(vertIdx => {
-                if (!vertexFaces.has(vertIdx)) {
-                    vertexFaces.set(vertIdx, []);
-                }
-                vertexFaces.get(vertIdx).push(faceIdx);
-            });
-        });
-
-        // Calculate face centers
-        const faceCenters = this.faces.map(face => {
-            const center = new THREE.Vector3();
-            face.forEach(idx => center.add(this.vertices[idx]));
-            center.divideScalar(3).normalize();
-            return center;
-        });
-
-        // Create cells (dual vertices = original face centers)
-        // Each original vertex becomes a cell (hex or pentagon)
-        vertexFaces.forEach((faceIndices, vertIdx) => {
-            const vertex = this.vertices[vertIdx];
-
-            // Get face centers around this vertex
-            const cellCorners = faceIndices.map(fi => faceCenters[fi].clone());
-
-            // Sort corners in circular order around the vertex
-            this.sortCornersCircular(cellCorners, vertex);
-
-            // Find neighbors (vertices that share an edge)
-            const neighbors = new Set();
-            faceIndices.forEach(fi => {
-                this.faces[fi].forEach(vi => {
-                    if (vi !== vertIdx) neighbors.add(vi);
-                });
-            });
-
-            this.cells.push({
-                center: vertex.clone().multiplyScalar(this.radius),
-                corners: cellCorners.map(c => c.multiplyScalar(this.radius)),
-                vertexIndex: vertIdx,
-                neighbors: Array.from(neighbors),
-                isPentagon: cellCorners.length === 5
-            });
-
-            this.vertexToCell.set(vertIdx, this.cells.length - 1);
-        });
-
-        // Convert neighbor vertex indices to cell indices
-        this.cells.forEach(cell => {
-            cell.neighbors = cell.neighbors.map(vi => this.vertexToCell.get(vi));
-        });
-    }
-
-    sortCornersCircular(corners, center) {
-        // Create a reference direction perpendicular to center
-        const up = new THREE.Vector3(0, 1, 0);
-        const ref = new THREE.Vector3().crossVectors(center, up).normalize();
-        if (ref.length() < 0.1) {
-            ref.crossVectors(center, new THREE.Vector3(1, 0, 0)).normalize();
-        }
-
-        const angles = corners.map(corner => {
-            const toCorner = corner.clone().sub(center).normalize();
-            const cross = new THREE.Vector3().crossVectors(ref, toCorner);
-            const dot = ref.dot(toCorner);
-            const angle = Math.atan2(cross.dot(center), dot);
-            return angle;
-        });
-
-        // Sort by angle
-        const indexed = corners.map((c, i) => ({ corner: c, angle: angles[i] }));
-        indexed.sort((a, b) => a.angle - b.angle);
-
-        for (let i = 0; i < corners.length; i++) {
-            corners[i] = indexed[i].corner;
-        }
-    }
-}
-
-// Create 3D cell geometry directly from world-space corners
-function createCellGeometry3D(corners, center, normal, gapScale = 0.93, extrudeAmount = 0.15) {
-    const geometry = new THREE.BufferGeometry();
-    const vertices = [];
-    const indices = [];
-    const normals = [];
-
-    const n = corners.length;
-
-    // Scale corners inward slightly for gaps between cells
-    const scaledCorners = corners.map(corner => {
-        const toCorner = corner.clone().sub(center);
-        return center.clone().add(toCorner.multiplyScalar(gapScale));
-    });
-
-    // Extrude outward along normal
-    const outerCorners = scaledCorners.map(c => {
-        return c.clone().add(normal.clone().multiplyScalar(extrudeAmount));
-    });
-    const outerCenter = center.clone().add(normal.clone().multiplyScalar(extrudeAmount));
-
-    // Build vertices: inner corners, outer corners, inner center, outer center
-    // Inner corners (on sphere surface)
-    scaledCorners.forEach(c => {
-        vertices.push(c.x, c.y, c.z);
-        normals.push(normal.x, normal.y, normal.z);
-    });
-
-    // Outer corners (extruded)
-    outerCorners.forEach(c => {
-        vertices.push(c.x, c.y, c.z);
-        normals.push(normal.x, normal.y, normal.z);
-    });
-
-    // Inner center
-    vertices.push(center.x, center.y, center.z);
-    normals.push(normal.x, normal.y, normal.z);
-
-    // Outer center
-    vertices.push(outerCenter.x, outerCenter.y, outerCenter.z);
-    normals.push(normal.x, normal.y, normal.z);
-
-    const innerCenterIdx = n * 2;
-    const outerCenterIdx = n * 2 + 1;
-
-    // Top face (outer) - triangles from center to each edge
-    for (let i = 0; i < n; i++) {
-        const next = (i + 1) % n;
-        indices.push(outerCenterIdx, n + i, n + next);
-    }
-
-    // Bottom face (inner) - triangles from center to each edge (reversed winding)
-    for (let i = 0; i < n; i++) {
-        const next = (i + 1) % n;
-        indices.push(innerCenterIdx, next, i);
-    }
-
-    // Side faces - quads as two triangles each
-    for (let i = 0; i < n; i++) {
-        const next = (i + 1) % n;
-        // Inner edge: i, next
-        // Outer edge: n+i, n+next
-        // Quad: i, next, n+next, n+i
-        indices.push(i, next, n + next);
-        indices.push(i, n + next, n + i);
-    }
-
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-    geometry.setIndex(indices);
-    geometry.computeVertexNormals(); // Recompute for smooth shading on sides
-
-    return geometry;
-}
-
 // Create the hex planet with geodesic grid
-function createHexPlanet(planetRadius, subdivisions, level = 1) {
+// Tile types come from the simulation; cosmetic variation uses generators seeded from the level seed
+function createHexPlanet(geoSphere, seed) {
     const planet = new THREE.Group();
 
-    // Generate geodesic hex sphere
-    const geoSphere = new GeodesicHexSphere(planetRadius, subdivisions);
-
     // Create core sphere - dark gray Death Star interior
-    const coreGeometry = new THREE.SphereGeometry(planetRadius * 0.99, 64, 64);
+    const coreGeometry = new THREE.SphereGeometry(geoSphere.radius * 0.99, 64, 64);
     const coreMaterial = new THREE.MeshStandardMaterial({
         color: 0x1a1a1a,
         roughness: 0.9,
@@ -450,211 +268,176 @@ function createHexPlanet(planetRadius, subdivisions, level = 1) {
     const core = new THREE.Mesh(coreGeometry, coreMaterial);
     planet.add(core);
 
-    // First pass: identify blocked/tall tiles
-    const tallTiles = new Set();
-    geoSphere.cells.forEach((cell, index) => {
-        const { isPentagon } = cell;
-        const isTall = isPentagon || (level >= 2 && Math.random() < 0.05);
-        if (isTall) {
-            tallTiles.add(index);
-            state.blockedTiles.add(index);
-        }
+    // All cells (hexagons and pentagons) share one merged mesh
+    state.planetMesh = new PlanetMesh(geoSphere.cells);
+    geoSphere.cells.forEach(({ center, neighbors, isPentagon }, index) => {
+        state.tiles.push({ index, center: center.clone(), neighbors, isPentagon });
+        state.planetMesh.setTileLook(index, createTileLook(index, createTileRng(seed, index)));
     });
+    planet.add(state.planetMesh.mesh);
 
-    // Generate water clusters (level 3+): clusters of 3-6 connected hexagons
-    if (level >= 3) {
-        const numClusters = Math.floor(geoSphere.cells.length * 0.015); // ~1.5% of tiles as cluster seeds
-        const usedForWater = new Set();
-
-        for (let c = 0; c < numClusters; c++) {
-            // Find a valid seed tile (not tall, not already water)
-            let seedIndex = -1;
-            let attempts = 0;
-            while (seedIndex < 0 && attempts < 50) {
-                const candidate = Math.floor(Math.random() * geoSphere.cells.length);
-                if (!tallTiles.has(candidate) && !usedForWater.has(candidate)) {
-                    seedIndex = candidate;
-                }
-                attempts++;
-            }
-            if (seedIndex < 0) continue;
+    return planet;
+}
 
-            // Grow cluster from seed (3-6 tiles)
-            const clusterSize = 3 + Math.floor(Math.random() * 4); // 3 to 6
-            const cluster = [seedIndex];
-            usedForWater.add(seedIndex);
+// Cosmetic generator of one tile - each tile has its own, so a tile redrawn after its type changed
+// (see restyleTile) gets the same shades and height it was built with
+function createTileRng(seed, tileIndex) {
+    return createRng((seed ^ 0x9e3779b9 ^ Math.imul(tileIndex + 1, 0x85ebca6b)) >>> 0);
+}
 
-            while (cluster.length < clusterSize) {
-                // Pick a random tile from cluster and try to expand
-                const expandFrom = cluster[Math.floor(Math.random() * cluster.length)];
-                const neighbors = geoSphere.cells[expandFrom].neighbors;
+// Look of one cell (height, color, glow, finish) - follows the tile type in the simulation
+function createTileLook(index, rng) {
+    const rules = sim.state;
+    const type = sim.getTileType(index);
+
+    // Tall tiles are the blocked ones
+    const isTall = type === 'blocked';
+    const height = isTall ? 0.8 + rng() * 0.6 : 0.15; // Tall tiles are 0.8-1.4 units high
+
+    // Check if this tile is water or lava (pre-computed from clusters)
+    const isWater = type === 'water';
+    const isLava = type === 'lava';
+    const portalIndex = rules.portalTiles.indexOf(index);
+    const isPortal = portalIndex !== -1;
+    // Shore the tide floods, and what a tile turns into at the end of the next enemy turn
+    const isShore = type === 'ground' && rules.tidalTiles.has(index);
+    const coming = rules.hazardWarnings.get(index);
+
+    // Movement terrain has a look of its own (conveyors also get arrows, see createConveyorArrows)
+    if (TERRAIN_LOOKS[type]) {
+        return createTerrainLook(TERRAIN_LOOKS[type], rng);
+    }
+
+    // Death Star panel colors - varying shades of gray/white
+    const panelType = rng();
+    let baseColor;
+
+    if (isTall) {
+        // Tall blocked tiles (pentagons and random obstacles) - darker basalt-like color
+        baseColor = new THREE.Color().setHSL(0, 0, 0.18 + rng() * 0.08);
+    } else if (isWater) {
+        // Water tiles - blue color with slight variation
+        baseColor = new THREE.Color().setHSL(0.58, 0.8, 0.35 + rng() * 0.1);
+    } else if (isLava) {
+        // Lava tiles - red/orange molten color
+        baseColor = new THREE.Color().setHSL(0.03 + rng() * 0.04, 0.9, 0.4 + rng() * 0.15);
+    } else if (isShore) {
+        // Wet sand the tide covers
+        baseColor = new THREE.Color().setHSL(0.11, 0.3, 0.42 + rng() * 0.08);
+    } else if (panelType > 0.85) {
+        // Darker accent panels
+        baseColor = new THREE.Color().setHSL(0, 0, 0.28 + rng() * 0.1);
+    } else if (panelType > 0.7) {
+        // Medium gray panels
+        baseColor = new THREE.Color().setHSL(0, 0, 0.48 + rng() * 0.1);
+    } else {
+        // Light gray/white panels (most common)
+        baseColor = new THREE.Color().setHSL(0, 0, 0.68 + rng() * 0.12);
+    }
+
+    const isHazard = isWater || isLava;
+    const roughness = isTall ? 0.8 : (isWater ? 0.1 : (isLava ? 0.3 : 0.4 + rng() * 0.3));
+    const metalness = isTall ? 0.2 : (isHazard ? 0.9 : 0.6 + rng() * 0.2);
+
+    // Portals glow in their pair's color (dimly while a timed pair is closed), lava glows red, tiles about
+    // to change glow in the color of what they turn into; highlights on a tile are scaled by its emissive intensity
+    let emissive = new THREE.Color(0x000000);
+    let emissiveIntensity = 0;
+    if (isPortal) {
+        baseColor = getPortalColor(index);
+        emissive = baseColor.clone().multiplyScalar(0.67);
+        emissiveIntensity = sim.isPortalOpen(portalIndex >> 1) ? 1 : 0.3;
+    } else if (coming) {
+        emissive = new THREE.Color(HAZARD_WARNING_GLOWS[coming]);
+        emissiveIntensity = 1;
+    } else if (isLava) {
+        emissive = new THREE.Color(0xff2200);
+        emissiveIntensity = 0.4;
+    }
+
+    return {
+        height,
+        color: baseColor,
+        opacity: isHazard ? 0.6 : 1.0,
+        emissive: emissive.multiplyScalar(emissiveIntensity),
+        emissiveIntensity,
+        roughness,
+        metalness
+    };
+}
 
-                // Find valid neighbor to add
-                const validNeighbors = neighbors.filter(n =>
-                    !tallTiles.has(n) && !usedForWater.has(n)
-                );
+// Glow of a tile the tide or a lava flow changes at the end of the next enemy turn, by what it turns into
+const HAZARD_WARNING_GLOWS = {
+    water: 0x1155ff,
+    lava: 0xff3300,
+    ground: 0x556677
+};
 
-                if (validNeighbors.length === 0) break; // Can't expand further
+// Looks of the movement terrain: base color (HSL, the lightness varies by up to lightnessRange),
+// height and surface finish
+const TERRAIN_LOOKS = {
+    ice: { hue: 0.53, saturation: 0.6, lightness: 0.78, lightnessRange: 0.1, height: 0.15, roughness: 0.05, metalness: 0.3, opacity: 0.85 },
+    mud: { hue: 0.08, saturation: 0.45, lightness: 0.2, lightnessRange: 0.06, height: 0.1, roughness: 1.0, metalness: 0.0, opacity: 1.0 },
+    conveyor: { hue: 0.13, saturation: 0.7, lightness: 0.38, lightnessRange: 0.04, height: 0.15, roughness: 0.35, metalness: 0.8, opacity: 1.0 },
+    // Cracked sandstone, a little lower than the panels round it
+    crumbling: { hue: 0.1, saturation: 0.35, lightness: 0.5, lightnessRange: 0.1, height: 0.12, roughness: 0.9, metalness: 0.1, opacity: 1.0 },
+    // Nearly flush with the core - a pit in the surface
+    hole: { hue: 0, saturation: 0, lightness: 0.03, lightnessRange: 0, height: 0.01, roughness: 1.0, metalness: 0.0, opacity: 1.0 }
+};
 
-                const newTile = validNeighbors[Math.floor(Math.random() * validNeighbors.length)];
-                cluster.push(newTile);
-                usedForWater.add(newTile);
-            }
+function createTerrainLook(look, rng) {
+    return {
+        height: look.height,
+        color: new THREE.Color().setHSL(look.hue, look.saturation, look.lightness + rng() * look.lightnessRange),
+        opacity: look.opacity,
+        emissive: new THREE.Color(0x000000),
+        emissiveIntensity: 0,
+        roughness: look.roughness,
+        metalness: look.metalness
+    };
+}
 
-            // Add cluster to water tiles
-            cluster.forEach(idx => state.waterTiles.add(idx));
-        }
+// Arrows along the conveyor belts, each pointing at the tile its conveyor pushes onto
+// Kept in the planet group, so they go with the planet (see regeneratePlanet)
+function createConveyorArrows() {
+    if (state.conveyorArrows) {
+        state.planetGroup.remove(state.conveyorArrows);
+        state.conveyorArrows.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
     }
 
-    // Generate lava clusters (level 8+): clusters of 3-6 connected hexagons
-    // Lava kills player but auto-pathing doesn't avoid it (unlike water)
-    if (level >= 8) {
-        const numClusters = Math.floor(geoSphere.cells.length * 0.012); // ~1.2% of tiles as cluster seeds
-        const usedForLava = new Set();
-
-        for (let c = 0; c < numClusters; c++) {
-            // Find a valid seed tile (not tall, not water, not already lava)
-            let seedIndex = -1;
-            let attempts = 0;
-            while (seedIndex < 0 && attempts < 50) {
-                const candidate = Math.floor(Math.random() * geoSphere.cells.length);
-                if (!tallTiles.has(candidate) && !state.waterTiles.has(candidate) && !usedForLava.has(candidate)) {
-                    seedIndex = candidate;
-                }
-                attempts++;
-            }
-            if (seedIndex < 0) continue;
-
-            // Grow cluster from seed (3-6 tiles)
-            const clusterSize = 3 + Math.floor(Math.random() * 4); // 3 to 6
-            const cluster = [seedIndex];
-            usedForLava.add(seedIndex);
-
-            while (cluster.length < clusterSize) {
-                // Pick a random tile from cluster and try to expand
-                const expandFrom = cluster[Math.floor(Math.random() * cluster.length)];
-                const neighbors = geoSphere.cells[expandFrom].neighbors;
-
-                // Find valid neighbor to add
-                const validNeighbors = neighbors.filter(n =>
-                    !tallTiles.has(n) && !state.waterTiles.has(n) && !usedForLava.has(n)
-                );
-
-                if (validNeighbors.length === 0) break; // Can't expand further
-
-                const newTile = validNeighbors[Math.floor(Math.random() * validNeighbors.length)];
-                cluster.push(newTile);
-                usedForLava.add(newTile);
-            }
-
-            // Add cluster to lava tiles
-            cluster.forEach(idx => state.lavaTiles.add(idx));
-        }
-    }
+    const arrows = new THREE.Group();
+    const geometry = new THREE.ConeGeometry(0.35, 0.9, 3);
+    geometry.scale(1, 1, 0.3); // Flatten into an arrowhead lying on the tile
+    const material = new THREE.MeshBasicMaterial({ color: 0xffcc00 });
+    const up = new THREE.Vector3(0, 1, 0);
 
-    // Create cells (hexagons and pentagons)
-    geoSphere.cells.forEach((cell, index) => {
-        const { center, corners, neighbors, isPentagon } = cell;
+    sim.state.conveyorTiles.forEach((toward, tileIndex) => {
+        const center = state.tiles[tileIndex].center;
         const normal = center.clone().normalize();
-
-        // Check if this tile is tall (pre-computed)
-        const isTall = tallTiles.has(index);
-        const extrudeAmount = isTall ? 0.8 + Math.random() * 0.6 : 0.15; // Tall tiles are 0.8-1.4 units high
-
-        // Check if this tile is water or lava (pre-computed from clusters)
-        const isWater = state.waterTiles.has(index);
-        const isLava = state.lavaTiles.has(index);
-
-        // Create 3D geometry directly from corners
-        const cellGeometry = createCellGeometry3D(corners, center, normal, 0.92, extrudeAmount);
-
-        // Death Star panel colors - varying shades of gray/white
-        const panelType = Math.random();
-        let baseColor;
-
-        if (isTall) {
-            // Tall blocked tiles (pentagons and random obstacles) - darker basalt-like color
-            baseColor = new THREE.Color().setHSL(0, 0, 0.18 + Math.random() * 0.08);
-        } else if (isWater) {
-            // Water tiles - blue color with slight variation
-            baseColor = new THREE.Color().setHSL(0.58, 0.8, 0.35 + Math.random() * 0.1);
-        } else if (isLava) {
-            // Lava tiles - red/orange molten color
-            baseColor = new THREE.Color().setHSL(0.03 + Math.random() * 0.04, 0.9, 0.4 + Math.random() * 0.15);
-        } else if (panelType > 0.85) {
-            // Darker accent panels
-            baseColor = new THREE.Color().setHSL(0, 0, 0.28 + Math.random() * 0.1);
-        } else if (panelType > 0.7) {
-            // Medium gray panels
-            baseColor = new THREE.Color().setHSL(0, 0, 0.48 + Math.random() * 0.1);
-        } else {
-            // Light gray/white panels (most common)
-            baseColor = new THREE.Color().setHSL(0, 0, 0.68 + Math.random() * 0.12);
-        }
-
-        const isHazard = isWater || isLava;
-        const cellMaterial = new THREE.MeshStandardMaterial({
-            color: baseColor,
-            roughness: isTall ? 0.8 : (isWater ? 0.1 : (isLava ? 0.3 : 0.4 + Math.random() * 0.3)),
-            metalness: isTall ? 0.2 : (isHazard ? 0.9 : 0.6 + Math.random() * 0.2),
-            emissive: isLava ? new THREE.Color(0xff2200) : new THREE.Color(0x000000),
-            emissiveIntensity: isLava ? 0.4 : 0,
-            transparent: isHazard,
-            opacity: isHazard ? 0.6 : 1.0,
-            side: THREE.DoubleSide
-        });
-
-        const cellMesh = new THREE.Mesh(cellGeometry, cellMaterial);
-
-        // Geometry is already in world space, no positioning needed
-
-        // Store cell data
-        cellMesh.userData = {
-            index: index,
-            center: center.clone(),
-            neighbors: neighbors,
-            isPentagon: isPentagon,
-            isTall: isTall,
-            isWater: isWater,
-            isLava: isLava,
-            originalColor: baseColor.clone()
-        };
-
-        state.tiles.push(cellMesh);
-        planet.add(cellMesh);
+        const direction = state.tiles[toward].center.clone().sub(center);
+        direction.sub(normal.clone().multiplyScalar(direction.dot(normal))).normalize();
+
+        const arrow = new THREE.Mesh(geometry, material);
+        // Point the cone along the belt, then roll it flat onto the tile
+        arrow.quaternion.setFromUnitVectors(up, direction);
+        const flatNormal = new THREE.Vector3(0, 0, 1).applyQuaternion(arrow.quaternion);
+        const roll = new THREE.Quaternion().setFromUnitVectors(flatNormal, normal);
+        arrow.quaternion.premultiply(roll);
+        arrow.position.copy(center).add(normal.multiplyScalar(0.2));
+        arrows.add(arrow);
     });
 
-    return planet;
-}
-
-// Calculate planet parameters for a given level
-// Each level is 10% larger in terms of hexagon count
-function getPlanetParamsForLevel(level) {
-    // Geodesic spheres have discrete cell counts: 642, 2562, 10242, etc.
-    // Formula for cells: 10 * 4^subdivisions + 2
-    // Increase subdivision every 3 levels for noticeable progression
-
-    const baseCells = 10 * Math.pow(4, state.baseSubdivisions) + 2; // 642
-
-    // Levels 1-3: sub 3 (642), Levels 4-6: sub 4 (2562), Levels 7-9+: sub 5 (10242)
-    // Cap at subdivision 5 (10,242 tiles) for performance - beyond this browsers struggle
-    const maxSubdivisions = 5;
-    const subdivisions = Math.min(
-        maxSubdivisions,
-        state.baseSubdivisions + Math.floor((level - 1) / 3)
-    );
-
-    // Actual cells with this subdivision
-    const actualCells = 10 * Math.pow(4, subdivisions) + 2;
-
-    // Scale radius to maintain similar hex density
-    const radius = state.baseRadius * Math.sqrt(actualCells / baseCells);
-
-    return { subdivisions, radius, targetCells: actualCells };
+    state.conveyorArrows = arrows;
+    state.planetGroup.add(arrows);
 }
 
 // Regenerate the planet for a new level
-function regeneratePlanet(level) {
+// Builds the tile graph, lets the simulation lay out the level (or restore a saved snapshot of it,
+// or load a hand-made layout from the editor), then creates the meshes
+function regeneratePlanet(level, seed, { snapshot = null, layout = null } = {}) {
     // Remove old planet and all its children
     if (state.planetGroup) {
         scene.remove(state.planetGroup);
@@ -672,9 +455,9 @@ function regeneratePlanet(level) {
 
     // Clear old state
     state.tiles = [];
-    state.blockedTiles = new Set();
-    state.waterTiles = new Set();
-    state.lavaTiles = new Set();
+    state.planetMesh = null;
+    state.conveyorArrows = null;
+    state.highlightedTiles.clear();
 
     // Remove old portal effects
     state.portalEffects.forEach(effect => scene.remove(effect));
@@ -683,30 +466,53 @@ function regeneratePlanet(level) {
     // Remove old gems
     state.gemMeshes.forEach(gem => scene.remove(gem));
     state.gemMeshes = [];
-    state.gemTiles = [];
 
     // Remove old power orb
     if (state.orbMesh) {
         scene.remove(state.orbMesh);
         state.orbMesh = null;
     }
-    state.orbTile = null;
-    state.orbActive = false;
-    state.orbMovesRemaining = 0;
-    state.orbPlayerMovesLeft = 0;
+
+    // Remove old power-ups, decoy and radar paths
+    state.powerUpMeshes.forEach(mesh => scene.remove(mesh));
+    state.powerUpMeshes = [];
+    [state.decoyMesh, state.radarPaths].forEach(object => {
+        if (!object) return;
+        scene.remove(object);
+        object.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    });
+    state.decoyMesh = null;
+    state.radarPaths = null;
+    state.blinkArmed = false;
 
     // Remove old key labels
     state.keyLabels.forEach(label => scene.remove(label));
     state.keyLabels = [];
 
-    // Get parameters for this level
-    const params = getPlanetParamsForLevel(level);
+    // Get parameters for this level (a hand-made layout sets its own planet size)
+    const params = layout
+        ? { subdivisions: layout.subdivisions, radius: layout.radius }
+        : getPlanetParamsForLevel(level);
+
+    // Generate geodesic hex sphere and lay out the level on its tile graph
+    const geoSphere = new GeodesicHexSphere(params.radius, params.subdivisions);
+    if (snapshot) {
+        sim.restoreSnapshot(snapshot, tileGraphFromSphere(geoSphere));
+    } else if (layout) {
+        sim.loadLevel(layout, tileGraphFromSphere(geoSphere), level);
+    } else {
+        sim.startLevel(level, seed, tileGraphFromSphere(geoSphere));
+    }
 
-    // Create new planet (pass level for conditional features like tall tiles)
-    state.planetGroup = createHexPlanet(params.radius, params.subdivisions, level);
+    // Create new planet meshes for the generated layout
+    state.planetGroup = createHexPlanet(geoSphere, sim.state.seed);
     scene.add(state.planetGroup);
+    createConveyorArrows();
 
-    const waterCount = state.waterTiles.size;
+    const waterCount = sim.state.waterTiles.size;
     console.log(`Level ${level}: ${state.tiles.length} hexagons, radius ${params.radius.toFixed(1)}, subdivisions ${params.subdivisions}${level >= 2 ? ', with obstacles' : ''}${level >= 3 ? `, ${waterCount} water tiles` : ''}`);
 
     return params;
@@ -715,7 +521,7 @@ function regeneratePlanet(level) {
 // Create glowing red gem
 function createGem(tile) {
     const group = new THREE.Group();
-    const tileCenter = tile.userData.center.clone();
+    const tileCenter = tile.center.clone();
     const normal = tileCenter.clone().normalize();
 
     // Main gem crystal (octahedron shape) - yellow/gold
@@ -774,7 +580,7 @@ function createGem(tile) {
     group.quaternion.copy(quaternion);
 
     // Store tile reference
-    group.userData.tileIndex = tile.userData.index;
+    group.userData.tileIndex = tile.index;
 
     return group;
 }
@@ -782,7 +588,7 @@ function createGem(tile) {
 // Create glowing orange power orb
 function createPowerOrb(tile) {
     const group = new THREE.Group();
-    const tileCenter = tile.userData.center.clone();
+    const tileCenter = tile.center.clone();
     const normal = tileCenter.clone().normalize();
 
     // Main orb sphere
@@ -842,11 +648,163 @@ function createPowerOrb(tile) {
     group.quaternion.copy(quaternion);
 
     // Store tile reference
-    group.userData.tileIndex = tile.userData.index;
+    group.userData.tileIndex = tile.index;
+
+    return group;
+}
+
+// Power-up looks (see POWER_UPS in simulation.js): pickup color, glow, and what the HUD calls it
+const POWER_UP_LOOKS = {
+    freeze: { color: 0x99eeff, emissive: 0x33bbff, label: 'Freeze' },  // Ice crystal
+    shield: { color: 0xffee88, emissive: 0xffcc00, label: 'Shield' },  // Golden bubble
+    decoy: { color: 0xff99dd, emissive: 0xff44aa, label: 'Decoy' },    // Little pink figure
+    radar: { color: 0x88ff88, emissive: 0x22dd44, label: 'Radar' },    // Dish with a sweeping beam
+    blink: { color: 0xcc99ff, emissive: 0x8844ff, label: 'Blink' }     // Twin diamonds
+};
+
+// Create a power-up pickup - a shape of its own per type, floating over the tile with a glow aura
+// (children: [shape, aura, base ring])
+function createPowerUp(tile, type) {
+    const group = new THREE.Group();
+    const tileCenter = tile.center.clone();
+    const normal = tileCenter.clone().normalize();
+    const look = POWER_UP_LOOKS[type];
+    const material = new THREE.MeshStandardMaterial({
+        color: look.color,
+        emissive: look.emissive,
+        emissiveIntensity: 0.6,
+        roughness: 0.3,
+        metalness: 0.5
+    });
+
+    let shape;
+    if (type === 'freeze') {
+        shape = new THREE.Mesh(new THREE.IcosahedronGeometry(0.4, 0), material);
+    } else if (type === 'shield') {
+        material.transparent = true;
+        material.opacity = 0.7;
+        shape = new THREE.Mesh(new THREE.SphereGeometry(0.4, 24, 16, 0, Math.PI * 2, 0, Math.PI / 2), material);
+    } else if (type === 'decoy') {
+        shape = new THREE.Group();
+        const body = new THREE.Mesh(new THREE.CapsuleGeometry(0.15, 0.3, 6, 12), material);
+        const head = new THREE.Mesh(new THREE.SphereGeometry(0.13, 12, 12), material);
+        head.position.y = 0.35;
+        shape.add(body, head);
+    } else if (type === 'radar') {
+        shape = new THREE.Group();
+        const dish = new THREE.Mesh(new THREE.ConeGeometry(0.4, 0.2, 24, 1, true), material);
+        dish.material.side = THREE.DoubleSide;
+        dish.rotation.x = Math.PI;
+        const beam = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.5, 0.05), material);
+        beam.position.y = 0.2;
+        shape.add(dish, beam);
+    } else {
+        shape = new THREE.Group();
+        const diamondGeom = new THREE.OctahedronGeometry(0.22, 0);
+        const first = new THREE.Mesh(diamondGeom, material);
+        const second = new THREE.Mesh(diamondGeom, material);
+        first.position.x = -0.2;
+        second.position.x = 0.2;
+        shape.add(first, second);
+    }
+    group.add(shape);
+
+    // Outer glow aura
+    const auraGeom = new THREE.SphereGeometry(0.6, 16, 16);
+    const auraMat = new THREE.MeshBasicMaterial({ color: look.emissive, transparent: true, opacity: 0.2 });
+    group.add(new THREE.Mesh(auraGeom, auraMat));
+
+    // Ring under the pickup
+    const ringGeom = new THREE.TorusGeometry(0.5, 0.03, 8, 32);
+    const ringMat = new THREE.MeshBasicMaterial({ color: look.emissive, transparent: true, opacity: 0.7 });
+    const ring = new THREE.Mesh(ringGeom, ringMat);
+    ring.rotation.x = Math.PI / 2;
+    ring.position.y = -0.5;
+    group.add(ring);
+
+    // Position above tile, standing on the tile surface
+    group.position.copy(tileCenter.clone().add(normal.clone().multiplyScalar(1.0)));
+    group.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), normal);
+    group.userData.tileIndex = tile.index;
 
     return group;
 }
 
+// Bring the power-up effects in the scene in line with what the player holds: the decoy, the shield
+// bubble, frozen enemies, the radar's gem paths and the blink button
+function syncPowerVisuals() {
+    const { powers, decoyTile, playerTile, gemTiles } = sim.state;
+
+    // Decoy - a see-through copy of the player in the decoy's colors, made once and hidden while unused
+    if (decoyTile !== null && !state.decoyMesh) {
+        state.decoyMesh = createPlayerMarker(POWER_UP_LOOKS.decoy.color, POWER_UP_LOOKS.decoy.emissive);
+        state.decoyMesh.children[0].material.transparent = true;
+        state.decoyMesh.children[0].material.opacity = 0.6;
+        scene.add(state.decoyMesh);
+    }
+    if (state.decoyMesh) {
+        state.decoyMesh.visible = decoyTile !== null;
+        if (decoyTile !== null) positionPlayerOnTile(state.decoyMesh, state.tiles[decoyTile]);
+    }
+
+    // Shield - a bubble that travels with the player
+    if (!state.shieldBubble) {
+        const bubbleMat = new THREE.MeshBasicMaterial({ color: POWER_UP_LOOKS.shield.emissive, transparent: true, opacity: 0.2 });
+        state.shieldBubble = new THREE.Mesh(new THREE.SphereGeometry(0.9, 24, 16), bubbleMat);
+        state.shieldBubble.position.y = 0.6;
+        state.playerMesh.add(state.shieldBubble);
+    }
+    state.shieldBubble.visible = powers.shield > 0;
+
+    // Freeze - enemies' rings turn to ice (the orb's look comes back when it thaws)
+    setEnemiesVulnerable(sim.state.orbActive);
+    if (powers.freeze > 0) {
+        state.enemyMeshes.forEach((enemy, i) => {
+            if (sim.state.enemyTiles[i] >= 0) enemy.children[2].material.color.set(POWER_UP_LOOKS.freeze.color);
+        });
+    }
+
+    // Radar - a line along the path to every gem (the paths change every turn, so they're rebuilt)
+    if (state.radarPaths) {
+        scene.remove(state.radarPaths);
+        state.radarPaths.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        state.radarPaths = null;
+    }
+    if (powers.radar > 0 && !sim.state.gameOver) {
+        state.radarPaths = new THREE.Group();
+        const lineMat = new THREE.LineBasicMaterial({ color: POWER_UP_LOOKS.radar.emissive, transparent: true, opacity: 0.8 });
+        gemTiles.forEach(gemTile => {
+            const path = sim.findPath(playerTile, gemTile);
+            if (!path) return;
+            const points = path.map(tile => {
+                const center = state.tiles[tile].center;
+                return center.clone().add(center.clone().normalize().multiplyScalar(0.4));
+            });
+            state.radarPaths.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), lineMat));
+        });
+        scene.add(state.radarPaths);
+    }
+
+    // Blink - offered while the player holds one
+    if (powers.blink === 0) state.blinkArmed = false;
+    const blinkBtn = document.getElementById('blink-btn');
+    blinkBtn.style.display = powers.blink > 0 && !sim.state.gameOver && !state.replay ? 'block' : 'none';
+    blinkBtn.textContent = state.blinkArmed ? `Blinking... (${powers.blink})` : `Blink (${powers.blink})`;
+}
+
+// Arm (or disarm) a blink: the tiles two hops away light up, and picking one jumps there
+function toggleBlink() {
+    if (sim.state.gameOver || state.replay || sim.state.powers.blink === 0) return;
+    state.blinkArmed = !state.blinkArmed;
+    state.pathQueue = [];
+    state.isAutoMoving = false;
+    highlightValidMoves(sim.state.playerTile);
+    syncPowerVisuals();
+}
+
 // Create player marker
 function createPlayerMarker(color, emissiveColor) {
     const group = new THREE.Group();
@@ -879,9 +837,159 @@ function createPlayerMarker(color, emissiveColor) {
     return group;
 }
 
+// Enemy marker colors by personality (see ENEMY_TYPES in simulation.js)
+const ENEMY_LOOKS = {
+    chaser: { color: 0xff4444, emissive: 0xff0000 },      // Red
+    ambusher: { color: 0xaa55ff, emissive: 0x7700ff },    // Purple, with a spike
+    patroller: { color: 0xffaa33, emissive: 0xff7700 },   // Amber, with a halo
+    flanker: { color: 0xff55bb, emissive: 0xff0088 }      // Pink, with side pods
+};
+
+// Create an enemy marker - the player's figure in the personality's colors, plus its crest
+function createEnemyMarker(type) {
+    const look = ENEMY_LOOKS[type];
+    const group = createPlayerMarker(look.color, look.emissive);
+    const material = group.children[0].material; // Crests share the body material (and its orb tint)
+
+    if (type === 'ambusher') {
+        const spike = new THREE.Mesh(new THREE.ConeGeometry(0.12, 0.35, 12), material);
+        spike.position.y = 1.45;
+        group.add(spike);
+    } else if (type === 'patroller') {
+        const halo = new THREE.Mesh(new THREE.TorusGeometry(0.22, 0.04, 8, 24), material);
+        halo.rotation.x = Math.PI / 2;
+        halo.position.y = 1.5;
+        group.add(halo);
+    } else if (type === 'flanker') {
+        [-1, 1].forEach(side => {
+            const pod = new THREE.Mesh(new THREE.SphereGeometry(0.12, 12, 12), material);
+            pod.position.set(side * 0.38, 0.8, 0);
+            group.add(pod);
+        });
+    }
+
+    // Stealth badge, hidden until the enemy spots the player
+    const badge = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: getAwarenessTexture('alert'),
+        transparent: true,
+        depthTest: false
+    }));
+    badge.scale.set(0.7, 0.7, 1);
+    badge.position.y = 2.1;
+    badge.visible = false;
+    group.add(badge);
+
+    group.userData.type = type;
+    group.userData.awarenessBadge = badge;
+    return group;
+}
+
+// Stealth badges over enemies' heads - "!" while they see the player, "?" while they search for them
+const AWARENESS_LOOKS = {
+    alert: { text: '!', color: '#ff4444' },
+    searching: { text: '?', color: '#ffcc00' }
+};
+const awarenessTextures = {};
+
+// Badge texture for an awareness mode (drawn once, shared by every marker)
+function getAwarenessTexture(mode) {
+    if (!awarenessTextures[mode]) {
+        const look = AWARENESS_LOOKS[mode];
+        const canvas = document.createElement('canvas');
+        const size = 64;
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.beginPath();
+        ctx.arc(size / 2, size / 2, size / 2 - 3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = look.color;
+        ctx.lineWidth = 4;
+        ctx.stroke();
+
+        ctx.fillStyle = look.color;
+        ctx.font = 'bold 44px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(look.text, size / 2, size / 2 + 2);
+
+        awarenessTextures[mode] = new THREE.CanvasTexture(canvas);
+    }
+    return awarenessTextures[mode];
+}
+
+// Show an enemy's stealth badge for what it knows of the player (nothing while it is unaware)
+function updateAwarenessBadge(enemy) {
+    const badge = state.enemyMeshes[enemy].userData.awarenessBadge;
+    const awareness = sim.state.enemyAwareness[enemy];
+    const mode = sim.state.stealth && awareness ? awareness.mode : null;
+    badge.visible = Boolean(AWARENESS_LOOKS[mode]);
+    if (badge.visible) {
+        badge.material.map = getAwarenessTexture(mode);
+    }
+}
+
+// Match the enemy markers to the level's enemies: add markers when a level has more enemies than
+// any before it (spares stay hidden), and swap those whose personality changed
+function syncEnemyMarkers() {
+    while (state.enemyMeshes.length < sim.state.enemyTiles.length) {
+        const marker = createEnemyMarker(sim.state.enemyTypes[state.enemyMeshes.length] || 'chaser');
+        marker.visible = false;
+        scene.add(marker);
+        state.enemyMeshes.push(marker);
+    }
+
+    state.enemyMeshes = state.enemyMeshes.map((marker, i) => {
+        const type = sim.state.enemyTypes[i] || 'chaser';
+        if (marker.userData.type === type) return marker;
+
+        scene.remove(marker);
+        marker.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        const replacement = createEnemyMarker(type);
+        replacement.visible = false;
+        scene.add(replacement);
+        return replacement;
+    });
+}
+
+// Turn a caught enemy into its ghost - a faint pale figure, waiting to come back
+function setEnemyGhost(enemy) {
+    const marker = state.enemyMeshes[enemy];
+    const body = marker.children[0]; // The head and crest share the body material
+    const ring = marker.children[2];
+
+    body.material.color.set(0xddddff);
+    body.material.emissive.set(0x6666aa);
+    body.material.transparent = true;
+    body.material.opacity = 0.3;
+    ring.material.color.set(0xddddff);
+    marker.userData.awarenessBadge.visible = false;
+    marker.visible = true;
+}
+
+// An enemy out of play: its ghost flies back to the spawn to wait there
+function sendGhostHome(enemy) {
+    const marker = state.enemyMeshes[enemy];
+    const ghost = sim.state.enemyGhosts[enemy];
+    if (!ghost) {
+        marker.visible = false; // No way back - hide the enemy
+        return;
+    }
+    setEnemyGhost(enemy);
+    const to = state.tiles[ghost.tile].center.clone();
+    to.add(to.clone().normalize().multiplyScalar(0.3));
+    state.ghostFlights = state.ghostFlights.filter(flight => flight.marker !== marker);
+    state.ghostFlights.push({ marker, from: marker.position.clone(), to, start: Date.now() });
+}
+
 // Position player on a tile
 function positionPlayerOnTile(playerMesh, tile, isPlayer = false, isInitial = false) {
-    const position = tile.userData.center.clone();
+    const position = tile.center.clone();
     const normal = position.clone().normalize();
 
     playerMesh.position.copy(position);
@@ -895,20 +1003,15 @@ function positionPlayerOnTile(playerMesh, tile, isPlayer = false, isInitial = fa
     // Move slightly above the surface
     playerMesh.position.add(normal.multiplyScalar(0.3));
 
-    // Update camera to track player (don't increment move on initial placement)
+    // Update camera to track player (not on initial placement)
     if (isPlayer && !isInitial) {
-        updateCameraTarget(playerMesh.position.clone(), true);
+        updateCameraTarget(playerMesh.position.clone());
     }
 }
 
 // Update camera to follow player while rotating around planet center
 // Only adjusts camera if player is getting out of view - allows free rotation otherwise
-function updateCameraTarget(targetPosition, incrementMove = true, isTeleport = false) {
-    // Increment move count
-    if (incrementMove) {
-        state.moveCount++;
-    }
-
+function updateCameraTarget(targetPosition, isTeleport = false) {
     const currentDistance = camera.position.length();
     const playerDirection = targetPosition.clone().normalize();
     const currentCameraDir = camera.position.clone().normalize();
@@ -943,82 +1046,61 @@ function updateCameraTarget(targetPosition, incrementMove = true, isTeleport = f
     // If player is visible (dotProduct <= 0.5), don't move camera - let user's view stay
 }
 
+// Reset highlighted tiles back to their own look (portals keep glowing in their pair's color)
+function resetTileHighlights() {
+    state.highlightedTiles.forEach(index => state.planetMesh.resetTile(index));
+    state.highlightedTiles.clear();
+}
+
+// Give a tile a highlight glow until the next reset
+function highlightTile(index, emissiveColor) {
+    state.planetMesh.highlightTile(index, emissiveColor);
+    state.highlightedTiles.add(index);
+}
+
 // Highlight valid move tiles
 function highlightValidMoves(currentTileIndex) {
-    // Reset all tiles
-    state.tiles.forEach((tile, index) => {
-        // Keep portal tiles glowing green
-        if (state.portalTiles.includes(index)) {
-            tile.material.color.set(0x00ff44);
-            tile.material.emissive = new THREE.Color(0x00aa22);
-        } else if (state.waterTiles.has(index)) {
-            // Keep water tiles with blue glow
-            tile.material.color.copy(tile.userData.originalColor);
-            tile.material.emissive = new THREE.Color(0x002244);
-        } else {
-            tile.material.color.copy(tile.userData.originalColor);
-            tile.material.emissive = new THREE.Color(0x000000);
-        }
-    });
+    resetTileHighlights();
+
+    // An armed blink shows where it can land instead
+    if (state.blinkArmed) {
+        sim.getBlinkTargets(currentTileIndex).forEach(tile => highlightTile(tile, POWER_UP_LOOKS.blink.emissive));
+        highlightTile(currentTileIndex, 0x005544);
+        updateKeyLabels(currentTileIndex);
+        return;
+    }
 
     // Highlight neighbors with green glow (Death Star control panel style)
     const currentTile = state.tiles[currentTileIndex];
-    currentTile.userData.neighbors.forEach(neighborIndex => {
-        const neighbor = state.tiles[neighborIndex];
-        // Don't highlight blocked tiles as valid moves
-        if (state.blockedTiles.has(neighborIndex)) {
+    currentTile.neighbors.forEach(neighborIndex => {
+        // Don't highlight tiles the player can't step onto (blocked)
+        if (!sim.canStepOnto(neighborIndex)) {
             return;
         }
-        if (state.portalTiles.includes(neighborIndex)) {
-            neighbor.material.emissive = new THREE.Color(0x00ff88); // Brighter green for portal
+        if (sim.getPortalDestination(neighborIndex) !== null) {
+            highlightTile(neighborIndex, getPortalColor(neighborIndex)); // Portal that would take the player through
         } else {
-            neighbor.material.emissive = new THREE.Color(0x003322);
+            highlightTile(neighborIndex, 0x003322);
         }
     });
 
     // Highlight current tile with brighter green (unless it's a portal)
-    if (!state.portalTiles.includes(currentTileIndex)) {
-        currentTile.material.emissive = new THREE.Color(0x005544);
+    if (!sim.state.portalTiles.includes(currentTileIndex)) {
+        highlightTile(currentTileIndex, 0x005544);
     }
 
     // Update key labels on adjacent hexagons
     updateKeyLabels(currentTileIndex);
 }
 
-// Find the nearest gem and the best neighbor to move toward it
-// Returns { gemTile, neighborTile } or null if no gems
-function findNearestGemInfo(currentTileIndex) {
-    if (!state.gemTiles || state.gemTiles.length === 0) return null;
-
-    const currentTile = state.tiles[currentTileIndex];
-    if (!currentTile) return null;
-
-    let nearestGem = null;
-    let bestNeighbor = null;
-    let shortestPath = Infinity;
-
-    // For each gem, find the path and track which one is closest
-    for (const gemTile of state.gemTiles) {
-        const path = findPath(currentTileIndex, gemTile);
-        if (path && path.length > 1 && path.length < shortestPath) {
-            shortestPath = path.length;
-            nearestGem = gemTile;
-            bestNeighbor = path[1]; // First step toward this gem
-        }
-    }
-
-    if (nearestGem === null) return null;
-    return { gemTile: nearestGem, neighborTile: bestNeighbor };
-}
-
 // Create arrow sprite pointing to nearest gem (for mobile)
 function updateGemArrow(currentTileIndex, gemTileIndex) {
     const currentTile = state.tiles[currentTileIndex];
     const gemTile = state.tiles[gemTileIndex];
     if (!currentTile || !gemTile) return;
 
-    const playerPos = currentTile.userData.center.clone();
-    const gemPos = gemTile.userData.center.clone();
+    const playerPos = currentTile.center.clone();
+    const gemPos = gemTile.center.clone();
     const normal = playerPos.clone().normalize();
 
     // Create arrow canvas texture
@@ -1077,11 +1159,11 @@ function updateKeyLabels(currentTileIndex) {
         state.gemArrow = null;
     }
 
-    if (state.gameOver) return;
+    if (sim.state.gameOver || state.mode === 'editor') return;
     if (!state.tiles || !state.tiles[currentTileIndex]) return;
 
     // Find nearest gem info (gem location and best neighbor to move toward it)
-    const gemInfo = findNearestGemInfo(currentTileIndex);
+    const gemInfo = sim.findNearestGemInfo(currentTileIndex);
 
     // Check if mobile/touch device
     const isMobile = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0) || (window.innerWidth <= 768);
@@ -1095,8 +1177,8 @@ function updateKeyLabels(currentTileIndex) {
     }
 
     const currentTile = state.tiles[currentTileIndex];
-    const neighbors = currentTile.userData.neighbors;
-    const currentPos = currentTile.userData.center.clone();
+    const neighbors = currentTile.neighbors;
+    const currentPos = currentTile.center.clone();
 
     const keys = ['w', 'e', 'd', 'x', 'z', 'a'];
 
@@ -1109,11 +1191,11 @@ function updateKeyLabels(currentTileIndex) {
         if (!worldDir) continue;
 
         for (const neighborIdx of neighbors) {
-            // Skip blocked tiles
-            if (state.blockedTiles.has(neighborIdx)) continue;
+            // Skip tiles the player can't step onto (blocked)
+            if (!sim.canStepOnto(neighborIdx)) continue;
 
             const neighborTile = state.tiles[neighborIdx];
-            const neighborPos = neighborTile.userData.center.clone();
+            const neighborPos = neighborTile.center.clone();
             const toNeighbor = neighborPos.clone().sub(currentPos).normalize();
 
             const dot = toNeighbor.dot(worldDir);
@@ -1141,7 +1223,7 @@ function updateKeyLabels(currentTileIndex) {
         // Create and position the label
         const label = createKeyLabel(key.toUpperCase(), isGemDirection);
         const neighborTile = state.tiles[neighborIdx];
-        const tileCenter = neighborTile.userData.center.clone();
+        const tileCenter = neighborTile.center.clone();
         const normal = tileCenter.clone().normalize();
 
         // Position label above the tile
@@ -1151,73 +1233,10 @@ function updateKeyLabels(currentTileIndex) {
     }
 }
 
-// Check if tile is a portal and get the destination
-function getPortalDestination(tileIndex) {
-    const portalIndex = state.portalTiles.indexOf(tileIndex);
-    if (portalIndex === -1) return null;
-    // Return the other portal
-    return state.portalTiles[portalIndex === 0 ? 1 : 0];
-}
-
-// Collect gem at tile if present
-function collectGemAtTile(tileIndex) {
-    const gemIndex = state.gemTiles.indexOf(tileIndex);
-    if (gemIndex !== -1) {
-        // Remove gem from game
-        state.gemTiles.splice(gemIndex, 1);
-        const gemMesh = state.gemMeshes.splice(gemIndex, 1)[0];
-        scene.remove(gemMesh);
-
-        // Increment counter
-        state.gemsCollected++;
-
-        // Play sound effect
-        playGemSound();
-
-        // Update display
-        updateGemDisplay();
-    }
-}
-
-// BFS pathfinding - find shortest path from start to goal (avoids blocked tiles and water)
-function findPath(startIndex, goalIndex, avoidWater = true) {
-    if (startIndex === goalIndex) return [startIndex];
-
-    const visited = new Set();
-    const queue = [[startIndex]];
-    visited.add(startIndex);
-
-    while (queue.length > 0) {
-        const path = queue.shift();
-        const current = path[path.length - 1];
-
-        const neighbors = state.tiles[current].userData.neighbors;
-        for (const neighbor of neighbors) {
-            // Skip blocked tiles (unless it's the goal - but goals shouldn't be blocked)
-            if (state.blockedTiles.has(neighbor) && neighbor !== goalIndex) {
-                continue;
-            }
-            // Skip water tiles when avoidWater is true (for auto-pathing)
-            if (avoidWater && state.waterTiles.has(neighbor)) {
-                continue;
-            }
-            if (neighbor === goalIndex) {
-                return [...path, neighbor];
-            }
-            if (!visited.has(neighbor)) {
-                visited.add(neighbor);
-                queue.push([...path, neighbor]);
-            }
-        }
-    }
-
-    return null; // No path found
-}
-
 // Update enemy appearance to vulnerable state (when orb is active)
 function setEnemiesVulnerable(vulnerable) {
     for (let i = 0; i < state.enemyMeshes.length; i++) {
-        if (state.enemyTiles[i] < 0) continue; // Skip inactive enemies
+        if (sim.state.enemyTiles[i] < 0) continue; // Skip inactive enemies
 
         const enemy = state.enemyMeshes[i];
         const body = enemy.children[0];
@@ -1236,179 +1255,60 @@ function setEnemiesVulnerable(vulnerable) {
             head.material.opacity = 0.7;
             ring.material.color.set(0x8888ff);
         } else {
-            // Restore normal red appearance
-            body.material.color.set(0xff4444);
-            body.material.emissive.set(0xff0000);
+            // Restore the personality's normal appearance
+            const look = ENEMY_LOOKS[enemy.userData.type];
+            body.material.color.set(look.color);
+            body.material.emissive.set(look.emissive);
             body.material.transparent = false;
             body.material.opacity = 1.0;
-            head.material.color.set(0xff4444);
-            head.material.emissive.set(0xff0000);
+            head.material.color.set(look.color);
+            head.material.emissive.set(look.emissive);
             head.material.transparent = false;
             head.material.opacity = 1.0;
-            ring.material.color.set(0xff0000);
+            ring.material.color.set(look.emissive);
         }
     }
 }
 
-// Move all enemies - towards player normally, away when orb is active
-function moveEnemies() {
-    // Track which tiles will be occupied after moves (only active enemies)
-    const occupiedTiles = new Set(state.enemyTiles.filter(t => t >= 0));
+// Handle tile click
+// source is recorded with the move ('click' or 'key')
+function onTileClick(tile, source = 'click') {
+    if (sim.state.gameOver || state.replay || state.mode === 'editor') return;
 
-    for (let i = 0; i < state.enemyTiles.length; i++) {
-        const currentTile = state.enemyTiles[i];
+    const clickedIndex = tile.index;
 
-        // Skip inactive enemies
-        if (currentTile < 0) continue;
+    // Cannot move onto blocked (tall) tiles
+    if (!sim.canStepOnto(clickedIndex)) {
+        return;
+    }
 
-        // Remove current position from occupied (we're moving from it)
-        occupiedTiles.delete(currentTile);
+    // If already at the clicked tile, do nothing
+    if (clickedIndex === sim.state.playerTile) {
+        return;
+    }
 
-        if (state.orbActive) {
-            // FLEE MODE: Move away from player
-            const neighbors = state.tiles[currentTile].userData.neighbors;
-            let bestTile = null;
-            let bestDistance = -1;
-
-            // Find the neighbor that maximizes distance from player
-            for (const neighbor of neighbors) {
-                if (!occupiedTiles.has(neighbor) && !state.blockedTiles.has(neighbor)) {
-                    const pathToPlayer = findPath(neighbor, state.playerTile, false);
-                    const distance = pathToPlayer ? pathToPlayer.length : Infinity;
-                    if (distance > bestDistance) {
-                        bestDistance = distance;
-                        bestTile = neighbor;
-                    }
-                }
-            }
-
-            if (bestTile !== null) {
-                state.enemyTiles[i] = bestTile;
-                occupiedTiles.add(bestTile);
-                positionPlayerOnTile(state.enemyMeshes[i], state.tiles[bestTile]);
-            } else {
-                // Can't move, stay in place
-                occupiedTiles.add(currentTile);
-            }
-        } else {
-            // CHASE MODE: Move towards player
-            const path = findPath(currentTile, state.playerTile, false);
-
-            if (path && path.length > 1) {
-                const nextTile = path[1];
-
-                // Check if the next tile is already occupied by another enemy
-                if (!occupiedTiles.has(nextTile)) {
-                    // Move to the next tile
-                    state.enemyTiles[i] = nextTile;
-                    occupiedTiles.add(nextTile);
-                    positionPlayerOnTile(state.enemyMeshes[i], state.tiles[nextTile]);
-                } else {
-                    // Try to find an alternative adjacent tile that gets closer
-                    const neighbors = state.tiles[currentTile].userData.neighbors;
-                    let bestAltTile = null;
-                    let bestAltDistance = Infinity;
-
-                    for (const neighbor of neighbors) {
-                        // Skip blocked tiles and occupied tiles (enemies can walk on water)
-                        if (!occupiedTiles.has(neighbor) && neighbor !== state.playerTile && !state.blockedTiles.has(neighbor)) {
-                            const altPath = findPath(neighbor, state.playerTile, false);
-                            if (altPath && altPath.length < bestAltDistance) {
-                                bestAltDistance = altPath.length;
-                                bestAltTile = neighbor;
-                            }
-                        }
-                    }
-
-                    if (bestAltTile !== null) {
-                        state.enemyTiles[i] = bestAltTile;
-                        occupiedTiles.add(bestAltTile);
-                        positionPlayerOnTile(state.enemyMeshes[i], state.tiles[bestAltTile]);
-                    } else {
-                        // Can't move, stay in place
-                        occupiedTiles.add(currentTile);
-                    }
-                }
-            } else {
-                // No path or already at destination, stay in place
-                occupiedTiles.add(currentTile);
-            }
-        }
-    }
-}
-
-// Check if player caught any enemy
-function playerCaughtEnemy() {
-    for (const enemyTile of state.enemyTiles) {
-        // Skip inactive enemies
-        if (enemyTile < 0) continue;
-        if (state.playerTile === enemyTile ||
-            state.tiles[state.playerTile].userData.neighbors.includes(enemyTile)) {
-            return true;
-        }
-    }
-    return false;
-}
-
-// Check if any enemy caught player
-function enemyCaughtPlayer() {
-    for (const enemyTile of state.enemyTiles) {
-        // Skip inactive enemies
-        if (enemyTile < 0) continue;
-        if (state.playerTile === enemyTile ||
-            state.tiles[enemyTile].userData.neighbors.includes(state.playerTile)) {
-            return true;
-        }
-    }
-    return false;
-}
-
-// Catch enemies near player when orb power is active
-function catchEnemiesNearPlayer() {
-    const playerNeighbors = state.tiles[state.playerTile].userData.neighbors;
-
-    for (let i = 0; i < state.enemyTiles.length; i++) {
-        const enemyTile = state.enemyTiles[i];
-        // Skip already inactive enemies
-        if (enemyTile < 0) continue;
-
-        // Check if enemy is on player tile or adjacent
-        if (enemyTile === state.playerTile || playerNeighbors.includes(enemyTile)) {
-            // Remove this enemy for the duration of the level
-            state.enemyTiles[i] = -1; // Mark as inactive
-            state.enemyMeshes[i].visible = false; // Hide the enemy
+    // An armed blink jumps to the tile if it can; picking any other tile calls the blink off
+    if (state.blinkArmed) {
+        state.blinkArmed = false;
+        if (sim.canPlayerBlinkTo(clickedIndex)) {
+            state.pathQueue = [];
+            state.isAutoMoving = false;
+            executePlayerMove(clickedIndex, source, true);
+            return;
         }
+        syncPowerVisuals();
     }
-}
-
-// Handle tile click
-function onTileClick(tile) {
-    if (state.gameOver) return;
-
-    const clickedIndex = tile.userData.index;
-
-    // Cannot move onto blocked (tall) tiles
-    if (state.blockedTiles.has(clickedIndex)) {
-        return;
-    }
-
-    // If already at the clicked tile, do nothing
-    if (clickedIndex === state.playerTile) {
-        return;
-    }
-
-    const currentTile = state.tiles[state.playerTile];
 
     // Check if clicked tile is an adjacent neighbor (direct move)
-    if (currentTile.userData.neighbors.includes(clickedIndex)) {
+    if (sim.isNeighbor(sim.state.playerTile, clickedIndex)) {
         // Cancel any ongoing auto-movement
         state.pathQueue = [];
         state.isAutoMoving = false;
         // Execute single step move
-        executePlayerMove(clickedIndex);
+        executePlayerMove(clickedIndex, source);
     } else {
         // Distant tile - calculate path and start auto-movement
-        const path = findPath(state.playerTile, clickedIndex);
+        const path = sim.findPath(sim.state.playerTile, clickedIndex);
         if (path && path.length > 1) {
             // Store path (excluding current position)
             state.pathQueue = path.slice(1);
@@ -1419,124 +1319,27 @@ function onTileClick(tile) {
     }
 }
 
-// Execute a single player move to an adjacent tile
-function executePlayerMove(targetIndex) {
-    if (state.gameOver) return;
-
-    // Move player
-    state.playerTile = targetIndex;
-    positionPlayerOnTile(state.playerMesh, state.tiles[targetIndex], true);
-
-    // Check if player stepped on water (drowns!)
-    if (state.waterTiles.has(targetIndex)) {
-        state.pathQueue = [];
-        state.isAutoMoving = false;
-        endGame(false, 'drowned');
-        return;
-    }
-
-    // Check if player stepped on lava (burns!)
-    if (state.lavaTiles.has(targetIndex)) {
-        state.pathQueue = [];
-        state.isAutoMoving = false;
-        endGame(false, 'burned');
-        return;
-    }
-
-    // Check if player collected a gem
-    collectGemAtTile(targetIndex);
+// Execute a single player move to an adjacent tile (or a blink to one two hops away)
+// The simulation applies the rules; the event handlers below update the scene and HUD
+function executePlayerMove(targetIndex, source, blink = false) {
+    if (sim.state.gameOver) return;
 
-    // Check if player collected the power orb
-    if (state.orbTile !== null && targetIndex === state.orbTile) {
-        // Activate orb power - player gets 2 moves per enemy move for 10 enemy turns
-        state.orbActive = true;
-        state.orbMovesRemaining = 10;
-        state.orbPlayerMovesLeft = 2; // Start with 2 moves before enemies move
-        // Remove orb from game
-        if (state.orbMesh) {
-            scene.remove(state.orbMesh);
-            state.orbMesh = null;
+    // Remember the turn so practice mode can undo it
+    if (state.mode === 'practice' && !state.replay) {
+        state.undoStack.push(sim.getSnapshot());
+        if (state.undoStack.length > UNDO_LIMIT) {
+            state.undoStack.shift();
         }
-        state.orbTile = null;
-        // Make enemies look vulnerable and flee
-        setEnemiesVulnerable(true);
     }
 
-    // Check if player stepped on a portal
-    const portalDestination = getPortalDestination(targetIndex);
-    if (portalDestination !== null) {
-        // Teleport to the other portal
-        state.playerTile = portalDestination;
-        positionPlayerOnTile(state.playerMesh, state.tiles[portalDestination], false); // Don't auto-update camera
-        // Explicitly update camera with teleport flag for stronger follow
-        updateCameraTarget(state.playerMesh.position.clone(), false, true);
-        // Check for gem at portal destination too
-        collectGemAtTile(portalDestination);
-        // Check for orb at portal destination too
-        if (state.orbTile !== null && portalDestination === state.orbTile) {
-            state.orbActive = true;
-            state.orbMovesRemaining = 10;
-            state.orbPlayerMovesLeft = 2;
-            if (state.orbMesh) {
-                scene.remove(state.orbMesh);
-                state.orbMesh = null;
-            }
-            state.orbTile = null;
-            // Make enemies look vulnerable and flee
-            setEnemiesVulnerable(true);
-        }
-        // Clear path queue since we teleported
-        state.pathQueue = [];
-        state.isAutoMoving = false;
-    }
-
-    // Check if player collected all gems
-    if (state.gemsCollected >= state.totalGems) {
-        state.pathQueue = [];
-        state.isAutoMoving = false;
-        endGame(true); // Player wins
-        return;
-    }
-
-    // If orb power is active, player gets 2 moves per enemy move
-    if (state.orbActive) {
-        catchEnemiesNearPlayer();
-        state.orbPlayerMovesLeft--;
-
-        // Only move enemies when player has used both moves
-        if (state.orbPlayerMovesLeft <= 0) {
-            moveEnemies();
-            state.orbPlayerMovesLeft = 2; // Reset for next round
-            state.orbMovesRemaining--;
-
-            if (state.orbMovesRemaining <= 0) {
-                state.orbActive = false;
-                state.orbPlayerMovesLeft = 0;
-                // Restore enemies to normal appearance and behavior
-                setEnemiesVulnerable(false);
-            }
-        }
+    if (blink) {
+        sim.blinkPlayer(targetIndex, source);
     } else {
-        // Normal mode - enemies move every player move
-        moveEnemies();
+        sim.movePlayer(targetIndex, source);
     }
 
-    // Check if any enemy caught player (only if orb not active)
-    if (!state.orbActive && enemyCaughtPlayer()) {
-        state.pathQueue = [];
-        state.isAutoMoving = false;
-        endGame(false); // Enemy wins
-        return;
-    }
-
-    // Update display
-    updateGemDisplay();
-
-    // Highlight valid moves for player
-    highlightValidMoves(state.playerTile);
-
     // Continue auto-movement if there's more path
-    if (state.isAutoMoving && state.pathQueue.length > 0) {
+    if (!sim.state.gameOver && state.isAutoMoving && state.pathQueue.length > 0) {
         setTimeout(executeNextPathStep, 300); // 300ms delay between steps
     } else {
         state.isAutoMoving = false;
@@ -1545,7 +1348,7 @@ function executePlayerMove(targetIndex) {
 
 // Execute the next step in the auto-movement path
 function executeNextPathStep() {
-    if (state.gameOver || state.pathQueue.length === 0) {
+    if (sim.state.gameOver || state.pathQueue.length === 0) {
         state.isAutoMoving = false;
         return;
     }
@@ -1553,17 +1356,11 @@ function executeNextPathStep() {
     const nextTile = state.pathQueue.shift();
 
     // Verify the move is still valid (path might be blocked now)
-    const currentTile = state.tiles[state.playerTile];
-    if (!currentTile.userData.neighbors.includes(nextTile) || state.blockedTiles.has(nextTile)) {
+    if (!sim.canPlayerMoveTo(nextTile)) {
         // Path is no longer valid, recalculate
-        if (state.pathQueue.length > 0) {
-            const finalDestination = state.pathQueue[state.pathQueue.length - 1];
-            const newPath = findPath(state.playerTile, finalDestination);
-            if (newPath && newPath.length > 1) {
-                state.pathQueue = newPath.slice(1);
-                executeNextPathStep();
-                return;
-            }
+        if (state.pathQueue.length > 0 && replanAutoPath()) {
+            executeNextPathStep();
+            return;
         }
         // Cannot continue, stop auto-movement
         state.pathQueue = [];
@@ -1571,12 +1368,230 @@ function executeNextPathStep() {
         return;
     }
 
-    executePlayerMove(nextTile);
+    executePlayerMove(nextTile, 'auto');
 }
 
-// End the game
+// Find a new way from the player to the end of the auto-path - false (and the path is dropped) if there is none
+function replanAutoPath() {
+    const finalDestination = state.pathQueue[state.pathQueue.length - 1];
+    const newPath = sim.findPath(sim.state.playerTile, finalDestination);
+    if (newPath && newPath.length > 1) {
+        state.pathQueue = newPath.slice(1);
+        return true;
+    }
+    state.pathQueue = [];
+    return false;
+}
+
+// Practice mode: rewind the last turn (player, enemies, gems, orb and caught enemies)
+function undoTurn() {
+    if (state.mode !== 'practice' || state.replay || state.undoStack.length === 0) return;
+
+    // Stop any auto-movement in progress
+    state.pathQueue = [];
+    state.isAutoMoving = false;
+
+    // Tiles warned of during the undone turn, which lose their warning
+    const warnedTiles = Array.from(sim.state.hazardWarnings.keys());
+    sim.restoreSnapshot(state.undoStack.pop(), sim.state.tiles);
+    // Tiles that collapsed, flooded or burned during the undone turn are back as they were
+    sim.state.crumblingTiles.forEach(restyleTile);
+    warnedTiles.forEach(restyleTile);
+    sim.state.hazardWarnings.forEach((_, tile) => restyleTile(tile));
+    // Timed portals may have switched back
+    sim.state.portalTiles.forEach(restyleTile);
+
+    // Dismiss the end-of-level message if the undone turn ended the level
+    document.getElementById('win-message').style.display = 'none';
+    document.getElementById('next-level-btn').style.display = 'none';
+    document.getElementById('restart-btn').style.display = 'none';
+
+    syncActorsToState();
+    updateCameraTarget(state.playerMesh.position.clone());
+    highlightValidMoves(sim.state.playerTile);
+    updateGemDisplay();
+}
+
+// Keep the scene and HUD in sync with the game rules
+function bindSimulationEvents() {
+    sim.on('playerMove', ({ to }) => {
+        positionPlayerOnTile(state.playerMesh, state.tiles[to], true);
+    });
+
+    // Slid along ice or pushed by a conveyor - the path queue already allows for it
+    sim.on('playerCarry', ({ to }) => {
+        positionPlayerOnTile(state.playerMesh, state.tiles[to], true);
+    });
+
+    sim.on('tileCollapse', ({ tile }) => {
+        restyleTile(tile);
+    });
+
+    // The tide or lava is coming - show where, and steer the auto-path around it
+    sim.on('hazardWarning', ({ tiles }) => {
+        tiles.forEach(([tile]) => restyleTile(tile));
+        if (state.isAutoMoving && state.pathQueue.length > 0 && !replanAutoPath()) {
+            state.isAutoMoving = false;
+        }
+    });
+
+    sim.on('hazardChange', ({ tiles }) => {
+        tiles.forEach(([tile]) => restyleTile(tile));
+    });
+
+    sim.on('teleport', ({ from, to }) => {
+        flashPortals(from, to);
+        positionPlayerOnTile(state.playerMesh, state.tiles[to], false); // Don't auto-update camera
+        // Explicitly update camera with teleport flag for stronger follow
+        updateCameraTarget(state.playerMesh.position.clone(), true);
+        // Auto-paths plan their way through portals - replan in case this one was not on the way
+        if (state.isAutoMoving && state.pathQueue.length > 0 && !replanAutoPath()) {
+            state.isAutoMoving = false;
+        }
+    });
+
+    sim.on('portalSwitch', ({ pair }) => {
+        sim.state.portalTiles.slice(pair * 2, pair * 2 + 2).forEach(restyleTile);
+        // An auto-path may have counted on the pair being open, or a shorter way may have opened
+        if (state.isAutoMoving && state.pathQueue.length > 0 && !replanAutoPath()) {
+            state.isAutoMoving = false;
+        }
+    });
+
+    sim.on('gemCollected', ({ gemIndex }) => {
+        const gemMesh = state.gemMeshes.splice(gemIndex, 1)[0];
+        scene.remove(gemMesh);
+        playGemSound();
+        updateGemDisplay();
+    });
+
+    sim.on('orbCollected', () => {
+        // Remove orb from scene
+        if (state.orbMesh) {
+            scene.remove(state.orbMesh);
+            state.orbMesh = null;
+        }
+        // Make enemies look vulnerable
+        setEnemiesVulnerable(true);
+    });
+
+    sim.on('orbExpired', () => {
+        // Restore enemies to normal appearance
+        setEnemiesVulnerable(false);
+        syncPowerVisuals();
+    });
+
+    sim.on('powerUpCollected', ({ powerUpIndex }) => {
+        scene.remove(state.powerUpMeshes.splice(powerUpIndex, 1)[0]);
+        playGemSound();
+        syncPowerVisuals();
+    });
+
+    sim.on('powerExpired', () => {
+        syncPowerVisuals();
+    });
+
+    // The shield took a catch - the enemies that made it fly home
+    sim.on('shieldUsed', ({ enemies }) => {
+        enemies.forEach(sendGhostHome);
+        syncPowerVisuals();
+    });
+
+    sim.on('enemyMove', ({ enemy, to }) => {
+        positionPlayerOnTile(state.enemyMeshes[enemy], state.tiles[to]);
+    });
+
+    sim.on('enemyAwareness', ({ enemy }) => {
+        updateAwarenessBadge(enemy);
+    });
+
+    sim.on('enemyCarry', ({ enemy, to }) => {
+        positionPlayerOnTile(state.enemyMeshes[enemy], state.tiles[to]);
+    });
+
+    sim.on('enemyTeleport', ({ enemy, from, to }) => {
+        flashPortals(from, to);
+        positionPlayerOnTile(state.enemyMeshes[enemy], state.tiles[to]);
+    });
+
+    sim.on('enemyCaught', ({ enemy }) => {
+        sendGhostHome(enemy);
+    });
+
+    // Burned on lava - out of play just like a caught enemy
+    sim.on('enemyKilled', ({ enemy }) => {
+        sendGhostHome(enemy);
+    });
+
+    sim.on('enemyRespawn', ({ enemy, tile }) => {
+        const marker = state.enemyMeshes[enemy];
+        state.ghostFlights = state.ghostFlights.filter(flight => flight.marker !== marker);
+        positionPlayerOnTile(marker, state.tiles[tile]);
+        setEnemiesVulnerable(sim.state.orbActive);
+        updateAwarenessBadge(enemy);
+    });
+
+    sim.on('turnEnd', ({ playerTile }) => {
+        // Radar paths start from the player's new tile
+        syncPowerVisuals();
+        updateGemDisplay();
+        // Highlight valid moves for player
+        highlightValidMoves(playerTile);
+        autosave();
+    });
+
+    sim.on('gameOver', ({ playerWins, reason }) => {
+        state.pathQueue = [];
+        state.isAutoMoving = false;
+        syncPowerVisuals();
+        // Keep the recording of every level actually played (not of replays)
+        if (!state.replay) {
+            state.runRecordings.push(sim.getRecording());
+            if (state.mode === 'daily') {
+                state.dailyNewBest = recordResult(state.daily.dateKey, {
+                    survived: playerWins,
+                    gems: sim.state.gemsCollected,
+                    totalGems: sim.state.totalGems,
+                    moves: sim.state.moveCount
+                });
+            } else if (state.mode === 'normal') {
+                state.runMoves += sim.state.moveCount;
+                state.runGems += sim.state.gemsCollected;
+                if (playerWins) {
+                    // A won round's points count toward the run; a lost one's are earned again on the retry
+                    state.runScore += sim.state.score;
+                    // Every few rounds cleared earn an extra life
+                    state.lifeEarned = sim.state.round % EXTRA_LIFE_ROUNDS === 0 && state.lives < MAX_LIVES;
+                    if (state.lifeEarned) state.lives++;
+                } else {
+                    state.lives--;
+                    state.deaths.push({ round: sim.state.round, reason });
+                }
+                // A won level resumes at the next round and a lost one is retried - a run out of lives can't be continued
+                if (state.lives > 0) {
+                    autosave();
+                } else {
+                    clearRun();
+                    state.runPlace = state.runRanked ? recordRun({
+                        round: sim.state.round,
+                        score: state.runScore,
+                        moves: state.runMoves,
+                        gems: state.runGems,
+                        reason,
+                        seed: sim.state.seed,
+                        deaths: state.deaths
+                    }) : 0;
+                }
+            }
+        }
+        updateGemDisplay();
+        endGame(playerWins, reason);
+    });
+}
+
+// End the game (show the result - the simulation has already stopped play)
 function endGame(playerWins, reason = 'caught') {
-    state.gameOver = true;
+    const { round, totalGems, gemsCollected } = sim.state;
 
     // Clear key labels
     state.keyLabels.forEach(label => scene.remove(label));
@@ -1587,10 +1602,10 @@ function endGame(playerWins, reason = 'caught') {
     const button = winMessage.querySelector('button');
 
     if (playerWins) {
-        let completionMessage = `Round ${state.round} Complete!<br><span style="font-size: 18px;">All ${state.totalGems} gems collected!</span>`;
+        let completionMessage = `Round ${round} Complete!<br><span style="font-size: 18px;">All ${totalGems} gems collected!</span>`;
 
         // Add info about new features in the next level
-        const nextLevel = state.round + 1;
+        const nextLevel = round + 1;
         let newFeatures = [];
 
         if (nextLevel === 2) {
@@ -1608,51 +1623,149 @@ function endGame(playerWins, reason = 'caught') {
             completionMessage += `<span style="font-size: 14px;">${newFeatures.join('<br>')}</span>`;
         }
 
+        if (state.mode === 'normal' && state.lifeEarned) {
+            completionMessage += `<br><span style="font-size: 16px; color: #ff88aa;">Extra life! ${formatLives()}</span>`;
+        }
+
         winnerText.innerHTML = completionMessage;
         winMessage.style.borderColor = '#00ff88';
         winMessage.style.color = '#00ff88';
-        button.textContent = `Next Round (${state.totalGems + 2} gems)`;
+        button.textContent = `Next Round (${totalGems + 2} gems)`;
         button.onclick = () => startNextRound();
     } else {
         let deathMessage;
         if (reason === 'drowned') {
-            deathMessage = `Drowned on round ${state.round} with ${state.gemsCollected}/${state.totalGems} gems.`;
+            deathMessage = `Drowned on round ${round} with ${gemsCollected}/${totalGems} gems.`;
             winMessage.style.borderColor = '#4488ff';
             winMessage.style.color = '#4488ff';
         } else if (reason === 'burned') {
-            deathMessage = `Burned in lava on round ${state.round} with ${state.gemsCollected}/${state.totalGems} gems.`;
+            deathMessage = `Burned in lava on round ${round} with ${gemsCollected}/${totalGems} gems.`;
             winMessage.style.borderColor = '#ff4400';
             winMessage.style.color = '#ff4400';
         } else {
-            deathMessage = `Caught on round ${state.round} with ${state.gemsCollected}/${state.totalGems} gems.`;
+            deathMessage = `Caught on round ${round} with ${gemsCollected}/${totalGems} gems.`;
             winMessage.style.borderColor = '#ff4444';
             winMessage.style.color = '#ff4444';
         }
-        winnerText.innerHTML = `Game Over!<br><span style="font-size: 18px;">${deathMessage}</span>`;
-        button.textContent = 'Play Again';
-        button.onclick = () => location.reload();
+        // A normal run goes on while lives are left; practice rounds can always be retried
+        const outOfLives = state.mode === 'normal' && state.lives === 0;
+        winnerText.innerHTML = `${state.mode === 'normal' && !outOfLives ? 'Life Lost!' : 'Game Over!'}<br><span style="font-size: 18px;">${deathMessage}</span>`;
+        if (state.mode === 'normal') {
+            winnerText.innerHTML += `<br><span style="font-size: 14px;">${formatLives()}<br>Deaths this run: ${formatDeaths()}</span>`;
+        }
+        button.textContent = outOfLives ? 'New Game' : 'Retry Round';
+        button.onclick = () => outOfLives ? newGame() : retryRound();
+    }
+
+    // Daily challenge: one level only - show today's best and offer another attempt
+    if (state.mode === 'daily') {
+        const best = getBestResult(state.daily.dateKey);
+        const thisRun = formatDailyResult({ survived: playerWins, gems: gemsCollected, totalGems, moves: sim.state.moveCount });
+        winnerText.innerHTML = `Daily Challenge ${state.daily.dateKey}<br><span style="font-size: 18px;">${thisRun}</span>` +
+            (best ? `<br><span style="font-size: 14px; color: #ffcc00;">${state.dailyNewBest ? 'New best today!' : `Best today: ${formatDailyResult(best)}`}</span>` : '');
+        button.textContent = 'Try Again';
+        button.onclick = () => playDaily();
+    }
+
+    // Hand-made level: one level only - go back to the editor after a play test, or play it again
+    if (state.mode === 'custom') {
+        if (playerWins) {
+            winnerText.innerHTML = `Level Complete!<br><span style="font-size: 18px;">All ${totalGems} gems collected in ${sim.state.moveCount} moves.</span>`;
+        }
+        if (state.editor) {
+            button.textContent = 'Back to Editor';
+            button.onclick = () => openEditor(state.editor.layout);
+        } else {
+            button.textContent = 'Play Again';
+            button.onclick = () => playCustomLevel(state.customLevel);
+        }
     }
 
+    winnerText.innerHTML += formatScoreSummary(playerWins);
+
+    // Offer a replay of the level that just ended
+    const replayBtn = document.getElementById('replay-btn');
+    const recording = state.runRecordings[state.runRecordings.length - 1];
+    replayBtn.style.display = recording ? 'block' : 'none';
+    replayBtn.onclick = () => startReplay(recording);
+
     winMessage.style.display = 'block';
 
     // Show appropriate button under instructions
     const nextLevelBtn = document.getElementById('next-level-btn');
     const restartBtn = document.getElementById('restart-btn');
 
-    if (playerWins) {
+    if (state.mode === 'daily' || state.mode === 'custom') {
+        nextLevelBtn.style.display = 'none';
+        restartBtn.style.display = 'none';
+    } else if (playerWins) {
         nextLevelBtn.style.display = 'block';
         nextLevelBtn.onclick = () => startNextRound();
         restartBtn.style.display = 'none';
     } else {
         nextLevelBtn.style.display = 'none';
         restartBtn.style.display = 'block';
+        restartBtn.textContent = button.textContent;
+        restartBtn.onclick = button.onclick;
     }
 
     // Reset tile highlights
-    state.tiles.forEach(tile => {
-        tile.material.color.copy(tile.userData.originalColor);
-        tile.material.emissive = new THREE.Color(0x000000);
-    });
+    resetTileHighlights();
+}
+
+// Lives left, for the HUD and round summaries
+function formatLives() {
+    return state.lives === 1 ? '1 life left' : `${state.lives} lives left`;
+}
+
+// Rounds lost this run, by cause ('none' before the first)
+function formatDeaths() {
+    if (state.deaths.length === 0) return 'none';
+    return state.deaths.map(({ round, reason }) => `${DEATH_LABELS[reason]} on round ${round}`).join(', ');
+}
+
+// Round summary of the score: the points of each part, and in a normal run the run's total
+// (practice scores are only for show - they never reach the run history or high scores)
+function formatScoreSummary(playerWins) {
+    const { score, scoreParts, moveCount, parMoves } = sim.state;
+    const parts = SCORE_PARTS
+        .filter(part => scoreParts[part] > 0)
+        .map(part => `${SCORE_LABELS[part]} ${scoreParts[part]}`);
+    let summary = `<br><span style="font-size: 14px; color: #66ffcc;">Round score: ${score}` +
+        (parts.length > 0 ? ` (${parts.join(', ')})` : '') +
+        `<br>${moveCount} moves, par ${parMoves}`;
+    if (state.mode === 'normal') {
+        summary += playerWins
+            ? `<br>Run score: ${state.runScore}`
+            : `<br>Run score: ${state.runScore} - this round's points only count once it is won`;
+        // The run is over with the last life - say where it placed
+        if (state.lives === 0 && state.runPlace > 0 && state.runPlace <= HIGH_SCORE_COUNT) {
+            summary += state.runPlace === 1 ? '<br>New high score!' : `<br>#${state.runPlace} in your high scores`;
+        } else if (state.lives === 0 && !state.runRanked) {
+            summary += '<br>Levels were skipped, so this run isn\'t kept in your high scores';
+        }
+    } else if (state.mode === 'practice') {
+        summary += '<br>Practice - turns can be undone, so this score is unranked and not kept';
+    }
+    return `${summary}</span>`;
+}
+
+// Play the lost round again on the same planet - the same seed rebuilds it exactly
+function retryRound() {
+    document.getElementById('restart-btn').style.display = 'none';
+    jumpToLevel(sim.state.round, sim.state.seed, { playIntro: false });
+}
+
+// Start a fresh run from round 1 with full lives
+function newGame() {
+    document.getElementById('restart-btn').style.display = 'none';
+    state.lives = STARTING_LIVES;
+    state.deaths = [];
+    state.runScore = 0;
+    state.runMoves = 0;
+    state.runGems = 0;
+    state.runRanked = true;
+    jumpToLevel(1);
 }
 
 // Start next round with more gems
@@ -1663,37 +1776,186 @@ function startNextRound() {
     document.getElementById('win-message').style.display = 'none';
 
     // Jump to the next level (handles planet regeneration and all setup)
-    jumpToLevel(state.round + 1);
+    jumpToLevel(sim.state.round + 1);
 }
 
 // Update gem display
 function updateGemDisplay() {
+    const { round, seed, gemsCollected, totalGems, orbActive, orbMovesRemaining, orbPlayerMovesLeft } = sim.state;
+    const enemyDistance = sim.getClosestEnemyDistance();
     const indicator = document.getElementById('turn-indicator');
-    let displayText = `<span style="color: #88aaff;">Round ${state.round}</span> | <span style="color: #aaaaaa;">${state.tiles.length} tiles</span> | <span style="color: #ff4466;">Gems: ${state.gemsCollected}/${state.totalGems}</span> | <span style="color: #ffaa00;">Enemy: ${getClosestEnemyDistance()}</span>`;
+    // Hand-made levels aren't built from a seed, so they get no seed link
+    const levelLabel = state.mode === 'custom'
+        ? `<span style="color: #88aaff;">${escapeHtml(state.customLevel.name || 'Custom level')}</span>`
+        : `<span style="color: #88aaff;">Round ${round}</span> <a href="${getSeedLink()}" title="Link to replay this level" style="color: #666; font-size: 12px;">seed ${seed}</a>`;
+    let displayText = `${levelLabel} | <span style="color: #aaaaaa;">${state.tiles.length} tiles</span> | <span style="color: #ff4466;">Gems: ${gemsCollected}/${totalGems}</span> | <span style="color: #ffaa00;">Enemy: ${enemyDistance === null ? '?' : enemyDistance}</span>`;
 
     // Show orb power status if active (2x moves for X more enemy turns)
-    if (state.orbActive) {
-        displayText += ` | <span style="color: #ff8800;">2x Speed: ${state.orbMovesRemaining} turns (${state.orbPlayerMovesLeft} moves)</span>`;
+    if (orbActive) {
+        displayText += ` | <span style="color: #ff8800;">2x Speed: ${orbMovesRemaining} turns (${orbPlayerMovesLeft} moves)</span>`;
+    }
+
+    // Score: this round's points so far (and the rounds won this run, or a practice mark - undo makes it
+    // unranked), and a running gem combo
+    const scoreNote = state.mode === 'normal' ? ` (run ${state.runScore})` : (state.mode === 'practice' ? ' (practice - unranked)' : '');
+    displayText += ` | <span style="color: #66ffcc;">Score: ${sim.state.score}${scoreNote}</span>`;
+    if (sim.state.combo > 1 && sim.state.moveCount - sim.state.lastGemMove <= SCORING.comboMoves) {
+        displayText += ` <span style="color: #ffdd44;">Combo x${sim.state.combo}</span>`;
+    }
+
+    // Lives left in a normal run, and how the rounds lost so far were lost
+    if (state.mode === 'normal') {
+        displayText += ` | <span style="color: #ff88aa;">Lives: ${state.lives}</span>`;
+        const causes = Object.keys(DEATH_LABELS)
+            .map(reason => [reason, state.deaths.filter(death => death.reason === reason).length])
+            .filter(([, count]) => count > 0);
+        if (causes.length > 0) {
+            displayText += ` <span style="color: #aa6677;">(lost: ${causes.map(([reason, count]) => `${count} ${DEATH_LABELS[reason]}`).join(', ')})</span>`;
+        }
+    }
+
+    // Power-ups in hand: enemy turns left on the timed ones, charges of the others
+    POWER_UP_TYPES.forEach(type => {
+        const amount = sim.state.powers[type];
+        if (amount === 0) return;
+        const { label, color } = POWER_UP_LOOKS[type];
+        const detail = POWER_UPS[type].timed ? `${amount} turns` : `x${amount}`;
+        displayText += ` | <span style="color: #${color.toString(16).padStart(6, '0')};">${label}: ${detail}</span>`;
+    });
+
+    // Enemy turns until each caught enemy's ghost rejoins the hunt
+    const respawns = sim.state.enemyGhosts.filter(ghost => ghost).map(ghost => ghost.turnsLeft);
+    if (respawns.length > 0) {
+        displayText += ` | <span style="color: #ccccff;">Respawn: ${respawns.join(', ')} turns</span>`;
+    }
+
+    if (state.mode === 'practice') {
+        displayText += ` | <span style="color: #00ffff;">Practice</span>`;
+    } else if (state.mode === 'daily') {
+        displayText += ` | <span style="color: #ffcc00;">Daily ${state.daily.dateKey}</span>`;
     }
 
     indicator.innerHTML = displayText;
+
+    // Undo is only offered in practice mode
+    const undoBtn = document.getElementById('undo-btn');
+    undoBtn.style.display = state.mode === 'practice' ? 'block' : 'none';
+    undoBtn.disabled = state.undoStack.length === 0;
+    undoBtn.textContent = `Undo (${state.undoStack.length})`;
 }
 
-// Get closest enemy distance
-function getClosestEnemyDistance() {
-    let closestDistance = Infinity;
+// Watch a recorded level: rebuild it from its seed (or layout) and play the moves back through the simulation
+function startReplay(recording) {
+    if (state.replay) {
+        state.replay.pause();
+    }
+
+    document.getElementById('next-level-btn').style.display = 'none';
+    document.getElementById('restart-btn').style.display = 'none';
 
-    for (const enemyTile of state.enemyTiles) {
-        // Skip inactive enemies
-        if (enemyTile < 0) continue;
-        // Enemies can walk on water, so distance calculation should not avoid water
-        const path = findPath(state.playerTile, enemyTile, false);
-        if (path && path.length - 1 < closestDistance) {
-            closestDistance = path.length - 1;
+    const controls = document.getElementById('replay-controls');
+    const progress = document.getElementById('replay-progress');
+    const playBtn = document.getElementById('replay-play');
+    const speedSelect = document.getElementById('replay-speed');
+
+    const replay = new ReplayPlayer(sim, recording, {
+        onStep: (position) => {
+            progress.textContent = `${position}/${replay.length}`;
+        },
+        onFinish: () => {
+            controls.style.display = 'none';
+            state.replay = null;
         }
-    }
+    });
+    // Set before rebuilding the level so the rebuilt level isn't autosaved over the real run
+    state.replay = replay;
+    jumpToLevel(recording.level, recording.seed, {
+        playIntro: false,
+        layout: recording.layout || null,
+        difficulty: recording.difficulty || DEFAULT_DIFFICULTY,
+        stealth: recording.stealth || false
+    });
+
+    replay.setSpeed(Number(speedSelect.value) || 1);
+
+    progress.textContent = `0/${replay.length}`;
+    playBtn.innerHTML = '&#x23F8;';
+    controls.style.display = 'block';
+    replay.play();
+}
+
+// Wire up the replay control panel
+function initReplayControls() {
+    const playBtn = document.getElementById('replay-play');
+    const speedSelect = document.getElementById('replay-speed');
+
+    REPLAY_SPEEDS.forEach(speed => {
+        const option = document.createElement('option');
+        option.value = speed;
+        option.textContent = `${speed}x`;
+        option.selected = speed === 1;
+        speedSelect.appendChild(option);
+    });
+
+    playBtn.addEventListener('click', () => {
+        if (!state.replay) return;
+        if (state.replay.playing) {
+            state.replay.pause();
+            playBtn.innerHTML = '&#x25B6;';
+        } else {
+            state.replay.play();
+            playBtn.innerHTML = '&#x23F8;';
+        }
+    });
+
+    document.getElementById('replay-step').addEventListener('click', () => {
+        if (!state.replay) return;
+        state.replay.pause();
+        playBtn.innerHTML = '&#x25B6;';
+        state.replay.step();
+    });
+
+    document.getElementById('replay-restart').addEventListener('click', () => {
+        if (state.replay) startReplay(state.replay.recording);
+    });
+
+    speedSelect.addEventListener('change', () => {
+        if (state.replay) state.replay.setSpeed(Number(speedSelect.value));
+    });
+
+    document.getElementById('replay-download').addEventListener('click', () => {
+        if (!state.replay) return;
+        const { recording } = state.replay;
+        const blob = new Blob([JSON.stringify(recording, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `vibe-star-chase-round-${recording.level}-seed-${recording.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    // Leaving early plays the remaining moves instantly so the game ends where the recording did
+    document.getElementById('replay-exit').addEventListener('click', () => {
+        if (state.replay) state.replay.skipToEnd();
+    });
+}
 
-    return closestDistance === Infinity ? '?' : closestDistance;
+// Autosave the current run after every turn (normal runs only, not while watching a replay)
+function autosave() {
+    if (state.replay || state.mode !== 'normal') return;
+    saveRun(sim.getSnapshot(), {
+        lives: state.lives,
+        deaths: state.deaths,
+        score: state.runScore,
+        moves: state.runMoves,
+        gems: state.runGems,
+        ranked: state.runRanked
+    });
+}
+
+// Shareable link that rebuilds the current level from its seed
+function getSeedLink() {
+    return `?level=${sim.state.round}&seed=${sim.state.seed}`;
 }
 
 // Mouse click handler
@@ -1767,23 +2029,28 @@ function onTouchEnd(event) {
     touchStartPos = null;
 }
 
-// Common handler for move clicks (right-click, shift+click, or tap)
+// Common handler for move clicks (right-click, shift+click, or tap) - paints tiles in the editor
 function handleMoveClick(clientX, clientY) {
     mouse.x = (clientX / window.innerWidth) * 2 - 1;
     mouse.y = -(clientY / window.innerHeight) * 2 + 1;
 
     raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObjects(state.tiles);
+    const intersects = raycaster.intersectObject(state.planetMesh.mesh);
 
     if (intersects.length > 0) {
-        onTileClick(intersects[0].object);
+        const tileIndex = state.planetMesh.getTileAt(intersects[0]);
+        if (state.mode === 'editor') {
+            paintTile(tileIndex);
+        } else {
+            onTileClick(state.tiles[tileIndex]);
+        }
     }
 }
 
 // Calculate world-space movement direction from screen-space key angle
 function getWorldDirectionFromKey(key) {
-    const currentTile = state.tiles[state.playerTile];
-    const currentPos = currentTile.userData.center.clone();
+    const currentTile = state.tiles[sim.state.playerTile];
+    const currentPos = currentTile.center.clone();
     const normal = currentPos.clone().normalize();
 
     // Key angles in screen space (radians, Y is up)
@@ -1822,16 +2089,16 @@ function getWorldDirectionFromKey(key) {
 
 // Find best neighbor in a given world-space direction
 function getNeighborInWorldDirection(worldDir) {
-    const currentTile = state.tiles[state.playerTile];
-    const neighbors = currentTile.userData.neighbors;
-    const currentPos = currentTile.userData.center.clone();
+    const currentTile = state.tiles[sim.state.playerTile];
+    const neighbors = currentTile.neighbors;
+    const currentPos = currentTile.center.clone();
 
     let bestNeighbor = null;
     let bestDot = -Infinity;
 
     for (const neighborIdx of neighbors) {
         const neighborTile = state.tiles[neighborIdx];
-        const neighborPos = neighborTile.userData.center.clone();
+        const neighborPos = neighborTile.center.clone();
 
         // Direction from current to neighbor
         const toNeighbor = neighborPos.clone().sub(currentPos).normalize();
@@ -1854,7 +2121,7 @@ function getNeighborInWorldDirection(worldDir) {
 
 // Move player using keyboard - locks direction on first press
 function moveByDirection(key) {
-    if (state.gameOver) return;
+    if (sim.state.gameOver || state.replay || state.mode === 'editor') return;
 
     // If this is a new key or no direction locked, calculate and lock the direction
     if (state.heldKey !== key || !state.lockedMoveDirection) {
@@ -1868,12 +2135,14 @@ function moveByDirection(key) {
     const neighborIdx = getNeighborInWorldDirection(state.lockedMoveDirection);
 
     if (neighborIdx !== null) {
-        onTileClick(state.tiles[neighborIdx]);
+        // With a blink armed, the key jumps over that neighbor to the tile straight on
+        const blinkTarget = state.blinkArmed ? getTileAhead(sim.state.tiles, sim.state.playerTile, neighborIdx) : null;
+        onTileClick(state.tiles[blinkTarget ?? neighborIdx], 'key');
 
         // Update locked direction to continue in same world direction from new position
         // This keeps movement consistent as we traverse the sphere
-        const currentTile = state.tiles[state.playerTile];
-        const normal = currentTile.userData.center.clone().normalize();
+        const currentTile = state.tiles[sim.state.playerTile];
+        const normal = currentTile.center.clone().normalize();
 
         // Re-project locked direction onto new tangent plane
         state.lockedMoveDirection = state.lockedMoveDirection.clone()
@@ -1884,6 +2153,9 @@ function moveByDirection(key) {
 
 // Keyboard handler
 function onKeyDown(event) {
+    // Typing in a text field (e.g. the level name in the editor) isn't a game key
+    if (event.target.tagName === 'INPUT') return;
+
     const key = event.key.toLowerCase();
 
     if (['w', 'e', 'd', 'x', 'z', 'a'].includes(key)) {
@@ -1891,101 +2163,129 @@ function onKeyDown(event) {
         moveByDirection(key);
     }
 
-    // Testing mode: number keys 1-9 jump to that level
-    if (event.key >= '1' && event.key <= '9') {
+    // Practice mode: U undoes the last turn
+    if (key === 'u' && state.splashDismissed) {
+        undoTurn();
+    }
+
+    // B arms a blink (the next direction key or tile picked is the jump)
+    if (key === 'b' && state.splashDismissed && state.mode !== 'editor') {
+        toggleBlink();
+    }
+
+    // Testing mode: number keys 1-9 jump to that level (not in the daily challenge or the editor)
+    if (event.key >= '1' && event.key <= '9' && !state.replay && !['daily', 'editor', 'custom'].includes(state.mode)) {
         const level = parseInt(event.key);
+        if (state.mode === 'normal') state.runRanked = false; // A run that skips levels isn't ranked
         jumpToLevel(level);
     }
 }
 
 // Jump to a specific level (for testing)
-function jumpToLevel(level) {
+// Pass a seed to rebuild a known level - the same level and seed always give the same layout
+// Pass a snapshot (from sim.getSnapshot) to resume a level part-way through instead,
+// or a layout (from the level editor) to build a hand-made level
+function jumpToLevel(level, seed = randomSeed(), {
+    playIntro = level === 1, snapshot = null, layout = null, difficulty = getPlayDifficulty(),
+    stealth = getPlayStealth()
+} = {}) {
     // Hide win message if shown
     document.getElementById('win-message').style.display = 'none';
 
-    // Set round and calculate gems
-    // Level 1: 1 gem (tutorial), Level 2+: 5, 7, 9, etc.
-    state.round = level;
-    state.totalGems = level === 1 ? 1 : 5 + (level - 2) * 2;
-    state.gemsCollected = 0;
-    state.gameOver = false;
-    state.moveCount = 0;
+    // Reset input state (undo history belongs to the previous level)
+    state.undoStack = [];
     state.heldKey = null;
     state.lockedMoveDirection = null;
     state.pathQueue = [];
     state.isAutoMoving = false;
 
-    // Regenerate planet for this level (10% larger each level)
-    const params = regeneratePlanet(level);
+    // Regenerate planet for this level (10% larger each level) - the simulation lays out
+    // hazards, portals, player, enemies, gems and the power orb from the seed
+    // (a restored snapshot brings back the difficulty and stealth it was played with)
+    sim.setDifficulty(difficulty);
+    sim.setStealth(stealth);
+    const params = regeneratePlanet(level, seed, { snapshot, layout });
 
     const numTiles = state.tiles.length;
 
-    // Helper to find nearest valid tile (not blocked, not water, not excluded, optionally must be hexagon)
-    const findValidTile = (startIndex, excludeTiles = new Set(), mustBeHexagon = false) => {
-        const isValid = (idx) => {
-            if (state.blockedTiles.has(idx) || state.waterTiles.has(idx) || state.lavaTiles.has(idx) || excludeTiles.has(idx)) return false;
-            if (mustBeHexagon && state.tiles[idx].userData.isPentagon) return false;
-            return true;
-        };
-        if (isValid(startIndex)) return startIndex;
-        const visited = new Set([startIndex]);
-        const queue = [startIndex];
-        while (queue.length > 0) {
-            const current = queue.shift();
-            const neighbors = state.tiles[current].userData.neighbors;
-            for (const neighbor of neighbors) {
-                if (!visited.has(neighbor)) {
-                    visited.add(neighbor);
-                    if (isValid(neighbor)) {
-                        return neighbor;
-                    }
-                    queue.push(neighbor);
-                }
-            }
-        }
-        return startIndex;
-    };
+    createPortalEffects();
 
-    // Set up two portal tiles
-    state.portalTiles = [
-        findValidTile(Math.floor(numTiles / 6)),
-        findValidTile(Math.floor(numTiles * 5 / 6))
-    ];
+    // Place player, enemies, gems and the power orb
+    syncActorsToState();
 
-    // Style portal tiles with glowing green auras
-    state.portalTiles.forEach(portalIndex => {
+    // Reset camera to view player (rotate around planet center at 0,0,0)
+    // Keep camera at a fixed distance above the planet surface (not scaling with planet size)
+    const cameraHeightAboveSurface = 30; // Constant distance above planet surface
+    const cameraDistance = params.radius + cameraHeightAboveSurface;
+    const playerDirection = state.playerMesh.position.clone().normalize();
+    const cameraPos = playerDirection.clone().multiplyScalar(cameraDistance);
+    camera.position.copy(cameraPos);
+    state.cameraTargetPosition.copy(cameraPos);
+    controls.target.set(0, 0, 0); // Always rotate around planet center
+    controls.maxDistance = params.radius + 60; // Fixed distance above surface for max zoom
+    controls.minDistance = params.radius + 5; // Don't go inside planet
+    controls.update();
+
+    // Update display
+    highlightValidMoves(sim.state.playerTile);
+    updateGemDisplay();
+    autosave();
+
+    // Start intro animation on level 1
+    if (playIntro) {
+        startIntroAnimation(params.radius, cameraDistance);
+    }
+
+    console.log(`Jumped to level ${level} (${sim.state.totalGems} gems, ${numTiles} hexagons, seed ${seed})`);
+}
+
+// Color of a portal tile's pair (see PORTAL_COLORS)
+function getPortalColor(tileIndex) {
+    const pair = sim.state.portalTiles.indexOf(tileIndex) >> 1;
+    return new THREE.Color(PORTAL_COLORS[pair % PORTAL_COLORS.length]);
+}
+
+// Give portal tiles glowing auras in their pair's color (replaces any existing portal effects)
+// The exit of a one-way pair is only an outer ring, with no disc to step into
+function createPortalEffects() {
+    state.portalEffects.forEach(effect => scene.remove(effect));
+    state.portalEffects = [];
+
+    sim.state.portalTiles.forEach((portalIndex, index) => {
         const portalTile = state.tiles[portalIndex];
-        const tileCenter = portalTile.userData.center.clone();
+        const tileCenter = portalTile.center.clone();
         const normal = tileCenter.clone().normalize();
-
-        portalTile.material.color.set(0x00ff44);
-        portalTile.material.emissive = new THREE.Color(0x00aa22);
-        portalTile.material.emissiveIntensity = 1;
+        const pair = index >> 1;
+        const color = getPortalColor(portalIndex);
+        const exitOnly = sim.state.portalPairs[pair].oneWay && index % 2 === 1;
 
         // Create portal effect group
         const portalEffect = new THREE.Group();
+        portalEffect.userData.pair = pair;
 
         // Outer glow ring
         const outerRingGeom = new THREE.TorusGeometry(1.2, 0.08, 16, 32);
-        const outerRingMat = new THREE.MeshBasicMaterial({ color: 0x00ff88, transparent: true, opacity: 0.8 });
+        const outerRingMat = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.8 });
         const outerRing = new THREE.Mesh(outerRingGeom, outerRingMat);
         portalEffect.add(outerRing);
 
         // Inner glow ring
         const innerRingGeom = new THREE.TorusGeometry(0.8, 0.06, 16, 32);
-        const innerRingMat = new THREE.MeshBasicMaterial({ color: 0x44ffaa, transparent: true, opacity: 0.9 });
+        const innerRingMat = new THREE.MeshBasicMaterial({ color: color.clone().lerp(new THREE.Color(0xffffff), 0.3), transparent: true, opacity: 0.9 });
         const innerRing = new THREE.Mesh(innerRingGeom, innerRingMat);
+        innerRing.visible = !exitOnly;
         portalEffect.add(innerRing);
 
         // Glowing disc
         const discGeom = new THREE.CircleGeometry(0.7, 32);
-        const discMat = new THREE.MeshBasicMaterial({ color: 0x00ff66, transparent: true, opacity: 0.4, side: THREE.DoubleSide });
+        const discMat = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.4, side: THREE.DoubleSide });
         const disc = new THREE.Mesh(discGeom, discMat);
+        disc.visible = !exitOnly;
         portalEffect.add(disc);
 
         // Vertical beam
         const beamGeom = new THREE.CylinderGeometry(0.3, 0.5, 3, 16, 1, true);
-        const beamMat = new THREE.MeshBasicMaterial({ color: 0x00ff88, transparent: true, opacity: 0.2, side: THREE.DoubleSide });
+        const beamMat = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.2, side: THREE.DoubleSide });
         const beam = new THREE.Mesh(beamGeom, beamMat);
         beam.position.y = 1.5;
         portalEffect.add(beam);
@@ -1999,94 +2299,75 @@ function jumpToLevel(level) {
         scene.add(portalEffect);
         state.portalEffects.push(portalEffect);
     });
+}
 
-    // Reset player position (must be a hexagon, not a pentagon)
-    state.playerTile = findValidTile(0, new Set(), true);
-    positionPlayerOnTile(state.playerMesh, state.tiles[state.playerTile], true, true);
+// Flare the portal effects on the given tiles (both ends of a teleport)
+function flashPortals(...tileIndices) {
+    tileIndices.forEach(tileIndex => {
+        const portalEffect = state.portalEffects[sim.state.portalTiles.indexOf(tileIndex)];
+        if (portalEffect) {
+            portalEffect.userData.flashStart = Date.now();
+        }
+    });
+}
 
-    // Reset enemy positions
-    // Level 1: 1 enemy, Level 2+: 3 enemies
-    const numEnemies = level === 1 ? 1 : 3;
-    const usedTiles = new Set([state.playerTile, ...state.portalTiles, ...state.blockedTiles]);
-    const enemyStartPositions = [
-        Math.floor(numTiles / 3),
-        Math.floor(numTiles / 2),
-        Math.floor(numTiles * 2 / 3)
-    ];
+// Place player, enemy, gem and orb meshes to match the rule state
+// Used when a level starts and when a practice undo rewinds the rules
+function syncActorsToState() {
+    // Place player (the intro animation hides it again while it drops in)
+    positionPlayerOnTile(state.playerMesh, state.tiles[sim.state.playerTile], true, true);
+    state.playerMesh.visible = true;
+
+    // Place enemies (level 1 has a single active enemy)
+    syncEnemyMarkers();
+    state.ghostFlights = [];
+    setEnemiesVulnerable(sim.state.orbActive);
     for (let i = 0; i < state.enemyMeshes.length; i++) {
-        if (i < numEnemies) {
+        const enemyTile = sim.state.enemyTiles[i];
+        const ghost = sim.state.enemyGhosts[i];
+        if (enemyTile !== undefined && enemyTile >= 0) {
             // Active enemy - position and show
-            state.enemyTiles[i] = findValidTile(enemyStartPositions[i], usedTiles);
-            usedTiles.add(state.enemyTiles[i]);
-            positionPlayerOnTile(state.enemyMeshes[i], state.tiles[state.enemyTiles[i]]);
+            positionPlayerOnTile(state.enemyMeshes[i], state.tiles[enemyTile]);
             state.enemyMeshes[i].visible = true;
+            updateAwarenessBadge(i);
+        } else if (ghost) {
+            // Caught enemy - its ghost waits at the spawn
+            positionPlayerOnTile(state.enemyMeshes[i], state.tiles[ghost.tile]);
+            setEnemyGhost(i);
         } else {
             // Inactive enemy - hide
-            state.enemyTiles[i] = -1; // Mark as inactive
             state.enemyMeshes[i].visible = false;
         }
     }
 
-    // Place gems (not on water, lava, or blocked tiles)
-    usedTiles.add(state.playerTile);
-    state.enemyTiles.forEach(t => usedTiles.add(t));
-
-    while (state.gemTiles.length < state.totalGems) {
-        const randomTile = Math.floor(Math.random() * numTiles);
-        // Don't place gems on used tiles, water, lava, or blocked tiles
-        if (!usedTiles.has(randomTile) &&
-            !state.waterTiles.has(randomTile) &&
-            !state.lavaTiles.has(randomTile) &&
-            !state.blockedTiles.has(randomTile)) {
-            state.gemTiles.push(randomTile);
-            usedTiles.add(randomTile);
-
-            const gemMesh = createGem(state.tiles[randomTile]);
-            state.gemMeshes.push(gemMesh);
-            scene.add(gemMesh);
-        }
-    }
+    // Place gems (rebuilt so collected gems come back after an undo)
+    state.gemMeshes.forEach(gem => scene.remove(gem));
+    state.gemMeshes = [];
+    sim.state.gemTiles.forEach(gemTile => {
+        const gemMesh = createGem(state.tiles[gemTile]);
+        state.gemMeshes.push(gemMesh);
+        scene.add(gemMesh);
+    });
 
     // Place power orb on level 3+ (gives player 2x speed for 10 enemy turns)
-    if (level >= 3) {
-        let orbPlaced = false;
-        let attempts = 0;
-        while (!orbPlaced && attempts < 100) {
-            const randomTile = Math.floor(Math.random() * numTiles);
-            if (!usedTiles.has(randomTile) && !state.waterTiles.has(randomTile)) {
-                state.orbTile = randomTile;
-                usedTiles.add(randomTile);
-                state.orbMesh = createPowerOrb(state.tiles[randomTile]);
-                scene.add(state.orbMesh);
-                orbPlaced = true;
-            }
-            attempts++;
-        }
+    if (state.orbMesh) {
+        scene.remove(state.orbMesh);
+        state.orbMesh = null;
     }
-
-    // Reset camera to view player (rotate around planet center at 0,0,0)
-    // Keep camera at a fixed distance above the planet surface (not scaling with planet size)
-    const cameraHeightAboveSurface = 30; // Constant distance above planet surface
-    const cameraDistance = params.radius + cameraHeightAboveSurface;
-    const playerDirection = state.playerMesh.position.clone().normalize();
-    const cameraPos = playerDirection.clone().multiplyScalar(cameraDistance);
-    camera.position.copy(cameraPos);
-    state.cameraTargetPosition.copy(cameraPos);
-    controls.target.set(0, 0, 0); // Always rotate around planet center
-    controls.maxDistance = params.radius + 60; // Fixed distance above surface for max zoom
-    controls.minDistance = params.radius + 5; // Don't go inside planet
-    controls.update();
-
-    // Update display
-    highlightValidMoves(state.playerTile);
-    updateGemDisplay();
-
-    // Start intro animation on level 1
-    if (level === 1) {
-        startIntroAnimation(params.radius, cameraDistance);
+    if (sim.state.orbTile !== null) {
+        state.orbMesh = createPowerOrb(state.tiles[sim.state.orbTile]);
+        scene.add(state.orbMesh);
     }
 
-    console.log(`Jumped to level ${level} (${state.totalGems} gems, ${numTiles} hexagons)`);
+    // Place power-ups (rebuilt so ones picked up come back after an undo), then what the player holds
+    state.powerUpMeshes.forEach(mesh => scene.remove(mesh));
+    state.powerUpMeshes = sim.state.powerUps.map(({ type, tile }) => {
+        const mesh = createPowerUp(state.tiles[tile], type);
+        scene.add(mesh);
+        return mesh;
+    });
+    state.blinkArmed = false;
+    syncPowerVisuals();
 }
 
 // Start the intro animation - player drops in from space
@@ -2139,10 +2420,51 @@ function onWindowResize() {
     renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
-// Start the game from splash screen
-function startGame() {
-    if (state.splashDismissed) return;
+// Difficulty for a new level - the daily challenge is the same board for everyone, so it always
+// plays at the default
+function getPlayDifficulty() {
+    return state.mode === 'daily' ? DEFAULT_DIFFICULTY : state.settings.difficulty;
+}
 
+// Stealth for a new level - off in the daily challenge, like the difficulty
+function getPlayStealth() {
+    return state.mode !== 'daily' && state.settings.stealth;
+}
+
+// Splash screen difficulty picker
+function initDifficultyPicker() {
+    const picker = document.getElementById('difficulty-picker');
+    DIFFICULTIES.forEach(difficulty => {
+        const option = document.createElement('span');
+        option.dataset.difficulty = difficulty;
+        option.textContent = difficulty.toUpperCase();
+        option.classList.toggle('selected', difficulty === state.settings.difficulty);
+        option.addEventListener('click', (event) => {
+            event.stopPropagation(); // Don't let the splash click start a game
+            state.settings.difficulty = difficulty;
+            saveSettings(state.settings);
+            picker.querySelectorAll('span').forEach(span => {
+                span.classList.toggle('selected', span.dataset.difficulty === difficulty);
+            });
+        });
+        picker.appendChild(option);
+    });
+}
+
+// Splash screen stealth switch
+function initStealthToggle() {
+    const option = document.querySelector('#stealth-toggle span');
+    option.classList.toggle('selected', state.settings.stealth);
+    option.addEventListener('click', (event) => {
+        event.stopPropagation(); // Don't let the splash click start a game
+        state.settings.stealth = !state.settings.stealth;
+        saveSettings(state.settings);
+        option.classList.toggle('selected', state.settings.stealth);
+    });
+}
+
+// Hide the splash screen and show the game UI
+function dismissSplash() {
     state.splashDismissed = true;
 
     // Hide splash screen with fade out
@@ -2155,9 +2477,419 @@ function startGame() {
 
     // Show the game UI
     document.getElementById('ui').style.display = 'block';
+}
 
-    // Start level 1
-    jumpToLevel(1);
+// Start the game from splash screen
+// Practice runs are unranked: turns can be undone and the run is not autosaved
+function startGame({ practice = false } = {}) {
+    if (state.splashDismissed) return;
+
+    state.mode = practice ? 'practice' : 'normal';
+    state.lives = STARTING_LIVES;
+    state.deaths = [];
+    state.runScore = 0;
+    state.runMoves = 0;
+    state.runGems = 0;
+    dismissSplash();
+
+    // A level file given in the URL (e.g. ?levelUrl=levels/island.json) is played instead
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('levelUrl')) {
+        startLevelUrl(params.get('levelUrl'));
+        return;
+    }
+
+    // Start level 1, or the level and seed given in the URL (e.g. ?level=9&seed=1234) - a run
+    // started from those skips levels or picks its layout, so it isn't ranked
+    state.runRanked = !params.has('level') && !params.has('seed');
+    const startLevel = Math.max(1, parseInt(params.get('level'), 10) || 1);
+    const seed = params.has('seed') ? parseSeed(params.get('seed')) : randomSeed();
+    jumpToLevel(startLevel, seed);
+}
+
+// Start today's daily challenge from the splash screen
+function startDaily(event) {
+    event.stopPropagation(); // Don't let the splash click start a normal game
+    if (state.splashDismissed) return;
+
+    state.mode = 'daily';
+    state.daily = getDailyChallenge();
+    dismissSplash();
+    playDaily();
+}
+
+// (Re)build today's daily level - every attempt gets the identical board
+function playDaily() {
+    document.getElementById('win-message').style.display = 'none';
+    jumpToLevel(state.daily.level, state.daily.seed, { playIntro: false });
+}
+
+// Describe a daily result for the end-of-level message
+function formatDailyResult(result) {
+    const outcome = result.survived ? 'Cleared' : 'Failed';
+    return `${outcome} - ${result.gems}/${result.totalGems} gems in ${result.moves} moves`;
+}
+
+// Resume the autosaved run from the splash screen
+function continueGame(event) {
+    event.stopPropagation(); // Don't let the splash click start a new game
+    if (state.splashDismissed) return;
+
+    const saved = loadRun();
+    if (!saved) return;
+    const { snapshot, run } = saved;
+
+    state.mode = 'normal';
+    // Saves from before lives start with a full set, and those from before scoring with no score or totals
+    state.lives = run ? run.lives : STARTING_LIVES;
+    state.deaths = run ? run.deaths : [];
+    state.runScore = run ? run.score ?? 0 : 0;
+    state.runMoves = run ? run.moves ?? 0 : 0;
+    state.runGems = run ? run.gems ?? 0 : 0;
+    // Saves from before ranking count as ranked
+    state.runRanked = run ? run.ranked ?? true : true;
+    dismissSplash();
+
+    try {
+        if (snapshot.result && snapshot.result.playerWins) {
+            // The saved level was already won - carry on with the next round
+            jumpToLevel(snapshot.round + 1);
+        } else if (snapshot.result) {
+            // The saved level was lost with lives to spare - try it again
+            jumpToLevel(snapshot.round, snapshot.seed, { playIntro: false });
+        } else {
+            jumpToLevel(snapshot.round, snapshot.seed, { playIntro: false, snapshot });
+        }
+    } catch (e) {
+        // Save doesn't fit this version of the game - start fresh instead
+        console.warn('Could not restore saved game:', e.message);
+        clearRun();
+        jumpToLevel(1);
+    }
+}
+
+// Open the level editor from the splash screen with a blank planet
+function startEditor(event) {
+    event.stopPropagation(); // Don't let the splash click start a normal game
+    if (state.splashDismissed) return;
+
+    dismissSplash();
+    newEditorLevel(Number(document.getElementById('editor-size').value));
+}
+
+// Start a blank layout at a planet size
+function newEditorLevel(subdivisions) {
+    const geoSphere = new GeodesicHexSphere(getRadiusForSubdivisions(subdivisions), subdivisions);
+    const layout = createEmptyLayout(tileGraphFromSphere(geoSphere), subdivisions);
+    openEditor(layout);
+}
+
+// Build a layout on screen for editing (also used to come back after a play test)
+function openEditor(layout) {
+    state.mode = 'editor';
+    state.editor = { layout, tool: state.editor ? state.editor.tool : EDITOR_TOOLS[0] };
+
+    document.getElementById('ui').style.display = 'none';
+    document.getElementById('editor-panel').style.display = 'block';
+
+    jumpToLevel(1, 0, { playIntro: false, layout });
+    resetTileHighlights();
+    updateEditorPanel();
+}
+
+// Paint the selected tool onto a tile and refresh the scene to match
+function paintTile(tileIndex) {
+    const { layout, tool } = state.editor;
+    refreshEditorScene(applyTool(layout, tool, tileIndex, sim.state.tiles));
+}
+
+// Reload the edited layout into the simulation and redraw changed tiles, portals, actors and the panel
+function refreshEditorScene(changedTiles = []) {
+    const shore = sim.state.tidalTiles;
+    sim.loadLevel(state.editor.layout, sim.state.tiles);
+    // Painting water, gems or the tide rule moves the shore the tide floods
+    const shoreChanges = [...shore, ...sim.state.tidalTiles].filter(tile => shore.has(tile) !== sim.state.tidalTiles.has(tile));
+    [...changedTiles, ...shoreChanges].forEach(restyleTile);
+    createConveyorArrows();
+    createPortalEffects();
+    syncActorsToState();
+    resetTileHighlights();
+    updateEditorPanel();
+}
+
+// Redraw one tile after its type changed
+function restyleTile(tileIndex) {
+    state.highlightedTiles.delete(tileIndex);
+    state.planetMesh.setTileLook(tileIndex, createTileLook(tileIndex, createTileRng(sim.state.seed, tileIndex)));
+}
+
+// One personality picker per enemy in play
+function updateEnemyTypePickers() {
+    const { layout } = state.editor;
+    const pickers = document.getElementById('editor-enemy-types');
+    pickers.innerHTML = '';
+
+    for (let i = 0; i < layout.rules.enemyCount; i++) {
+        const select = document.createElement('select');
+        select.title = `Enemy ${i + 1} personality`;
+        ENEMY_TYPES.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type.charAt(0).toUpperCase() + type.slice(1);
+            option.selected = type === (layout.rules.enemyTypes[i] || 'chaser');
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => {
+            // Earlier enemies without a type are chasers
+            for (let j = 0; j < i; j++) {
+                layout.rules.enemyTypes[j] = layout.rules.enemyTypes[j] || 'chaser';
+            }
+            layout.rules.enemyTypes[i] = select.value;
+            refreshEditorScene();
+        });
+        pickers.appendChild(select);
+    }
+}
+
+// Show the selected tool and the playability check
+function updateEditorPanel() {
+    const { layout, tool } = state.editor;
+
+    document.querySelectorAll('#editor-tools button').forEach(button => {
+        button.classList.toggle('selected', button.dataset.tool === tool);
+    });
+    document.getElementById('editor-size').value = layout.subdivisions;
+    document.getElementById('editor-name').value = layout.name;
+    const enemyCountInput = document.getElementById('editor-enemy-count');
+    enemyCountInput.min = layout.enemies.length;
+    enemyCountInput.value = layout.rules.enemyCount;
+    document.getElementById('editor-orb-duration').value = layout.rules.orbDuration;
+    document.getElementById('editor-enemy-portals').checked = layout.rules.enemyPortals;
+    document.getElementById('editor-tide').checked = layout.rules.tide;
+    document.getElementById('editor-lava-flow').checked = layout.rules.lavaFlow;
+    updateEnemyTypePickers();
+
+    const problems = validateLayout(layout, sim.state.tiles);
+    const list = document.getElementById('editor-problems');
+    list.innerHTML = problems.length > 0
+        ? problems.map(problem => `<li>${problem}</li>`).join('')
+        : '<li class="ok">Playable - every gem can be reached</li>';
+    document.getElementById('editor-play').disabled = problems.length > 0;
+
+    document.getElementById('editor-summary').textContent =
+        `${sim.state.tiles.length} tiles | ${layout.gems.length} gems | ${layout.rules.enemyCount} enemies (${layout.enemies.length} placed)`;
+}
+
+// Play a hand-made level (a copy, so the recording keeps the layout as it was played)
+function playCustomLevel(layout) {
+    state.mode = 'custom';
+    state.customLevel = structuredClone(layout);
+    document.getElementById('editor-panel').style.display = 'none';
+    document.getElementById('ui').style.display = 'block';
+    jumpToLevel(1, 0, { playIntro: false, layout: state.customLevel });
+}
+
+// Refuse a loaded level file that isn't playable - the same check as the editor's Play button
+// (parseLevelFile only checks the file's shape, not that its gems can be reached and so on)
+function checkLevelPlayable(layout) {
+    const geoSphere = new GeodesicHexSphere(layout.radius, layout.subdivisions);
+    const problems = validateLayout(layout, tileGraphFromSphere(geoSphere));
+    if (problems.length > 0) {
+        throw new Error(`the level isn't playable:\n- ${problems.join('\n- ')}`);
+    }
+    return layout;
+}
+
+// Play a level file from the splash screen (file picker) - the editor is not involved
+function startLevelFile(file) {
+    if (state.splashDismissed) return;
+
+    loadLevelFromFile(file)
+        .then(checkLevelPlayable)
+        .then(layout => {
+            state.editor = null;
+            dismissSplash();
+            playCustomLevel(layout);
+        })
+        .catch(e => alert(`Could not load level: ${e.message}`));
+}
+
+// Play a level file from a URL (e.g. ?levelUrl=levels/island.json)
+function startLevelUrl(url) {
+    loadLevelFromUrl(url)
+        .then(checkLevelPlayable)
+        .then(layout => {
+            state.editor = null;
+            playCustomLevel(layout);
+        })
+        .catch(e => {
+            // Fall back to a normal game
+            alert(`Could not load level: ${e.message}`);
+            state.mode = 'normal';
+            jumpToLevel(1);
+        });
+}
+
+// Download the edited layout as a level file
+function exportLevel() {
+    const levelFile = toLevelFile(state.editor.layout);
+    const blob = new Blob([JSON.stringify(levelFile, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${levelFile.name.trim().replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'vibe-star-chase-level'}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Open a level file in the editor
+function importLevel(file) {
+    loadLevelFromFile(file)
+        .then(layout => openEditor(layout))
+        .catch(e => alert(`Could not load level: ${e.message}`));
+}
+
+// Escape text (e.g. a level name) for use in HTML
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Leave the editor and go back to the splash screen
+function exitEditor() {
+    document.getElementById('editor-panel').style.display = 'none';
+    state.mode = 'normal';
+    state.splashDismissed = false;
+
+    const splash = document.getElementById('splash-screen');
+    splash.classList.remove('hidden');
+    splash.style.opacity = '1';
+}
+
+// Wire up the editor panel
+function initEditorControls() {
+    const toolbar = document.getElementById('editor-tools');
+    EDITOR_TOOLS.forEach(tool => {
+        const button = document.createElement('button');
+        button.dataset.tool = tool;
+        button.textContent = tool.charAt(0).toUpperCase() + tool.slice(1);
+        button.addEventListener('click', () => {
+            state.editor.tool = tool;
+            updateEditorPanel();
+        });
+        toolbar.appendChild(button);
+    });
+
+    const sizeSelect = document.getElementById('editor-size');
+    EDITOR_SUBDIVISIONS.forEach(subdivisions => {
+        const option = document.createElement('option');
+        option.value = subdivisions;
+        option.textContent = `${getCellCount(subdivisions)} tiles`;
+        option.selected = subdivisions === 3;
+        sizeSelect.appendChild(option);
+    });
+    // A new size starts a new blank layout
+    sizeSelect.addEventListener('change', () => {
+        if (state.mode === 'editor') newEditorLevel(Number(sizeSelect.value));
+    });
+
+    // Level name and rule parameters
+    const nameInput = document.getElementById('editor-name');
+    nameInput.addEventListener('input', () => {
+        state.editor.layout.name = nameInput.value;
+    });
+    const enemyCountInput = document.getElementById('editor-enemy-count');
+    enemyCountInput.max = MAX_ENEMIES;
+    enemyCountInput.addEventListener('change', () => {
+        const { layout } = state.editor;
+        // Never fewer enemies than placed spawns
+        layout.rules.enemyCount = Math.min(MAX_ENEMIES, Math.max(layout.enemies.length, Number(enemyCountInput.value) || 0));
+        layout.rules.enemyTypes = layout.rules.enemyTypes.slice(0, layout.rules.enemyCount);
+        refreshEditorScene();
+    });
+    const orbDurationInput = document.getElementById('editor-orb-duration');
+    orbDurationInput.addEventListener('change', () => {
+        state.editor.layout.rules.orbDuration = Math.max(1, Math.round(Number(orbDurationInput.value)) || 1);
+        updateEditorPanel();
+    });
+    const enemyPortalsInput = document.getElementById('editor-enemy-portals');
+    enemyPortalsInput.addEventListener('change', () => {
+        state.editor.layout.rules.enemyPortals = enemyPortalsInput.checked;
+    });
+    const tideInput = document.getElementById('editor-tide');
+    tideInput.addEventListener('change', () => {
+        state.editor.layout.rules.tide = tideInput.checked;
+        refreshEditorScene();
+    });
+    const lavaFlowInput = document.getElementById('editor-lava-flow');
+    lavaFlowInput.addEventListener('change', () => {
+        state.editor.layout.rules.lavaFlow = lavaFlowInput.checked;
+    });
+
+    // Level files
+    const importInput = document.getElementById('editor-import-file');
+    document.getElementById('editor-import').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+        if (importInput.files[0]) importLevel(importInput.files[0]);
+        importInput.value = ''; // Allow importing the same file again
+    });
+    document.getElementById('editor-export').addEventListener('click', exportLevel);
+
+    document.getElementById('editor-play').addEventListener('click', () => playCustomLevel(state.editor.layout));
+    document.getElementById('editor-exit').addEventListener('click', exitEditor);
+}
+
+// Pop up a newly unlocked achievement over the HUD for a few seconds
+function showAchievementToast({ title, description }) {
+    const toast = document.createElement('div');
+    toast.className = 'achievement-toast';
+    toast.innerHTML = `<strong>Achievement unlocked: ${title}</strong><br>${description}`;
+    document.getElementById('achievement-toasts').appendChild(toast);
+    setTimeout(() => toast.remove(), ACHIEVEMENT_TOAST_TIME);
+}
+
+// High-score table on the splash screen - the best finished runs (see history.js)
+function renderHighScores() {
+    const highScores = getHighScores(loadRuns());
+    const rows = highScores.map((run, i) =>
+        `<tr><td>${i + 1}.</td><td>${run.score}</td><td>RD ${run.round}</td><td>${run.reason.toUpperCase()}</td><td>${run.date}</td></tr>`
+    );
+    document.getElementById('high-scores').innerHTML = rows.length > 0 ? `HIGH SCORES<table>${rows.join('')}</table>` : '';
+}
+
+// Stats page: deaths by cause and by level over every finished run, the latest runs and the achievements
+function showStats(event) {
+    event.stopPropagation(); // Don't let the splash click start a game
+    const runs = loadRuns();
+    const stats = getRunStats(runs);
+    const content = document.getElementById('stats-content');
+
+    if (stats.runs === 0) {
+        content.innerHTML = '<p style="text-align: center; color: #aaa;">No finished runs yet - a run finishes when its last life is lost.</p>';
+    } else {
+        const causeHeaders = DEATH_CAUSES.map(cause => `<th>${DEATH_LABELS[cause]}</th>`).join('');
+        const totalDeaths = deaths => DEATH_CAUSES.reduce((sum, cause) => sum + deaths[cause], 0);
+        // The level that has cost the most lives stands out
+        const mostDeaths = Math.max(...stats.levels.map(level => totalDeaths(level.deaths)));
+        const levelRows = stats.levels.map(({ level, reached, deaths }) => {
+            const total = totalDeaths(deaths);
+            const cells = DEATH_CAUSES.map(cause => `<td>${deaths[cause]}</td>`).join('');
+            return `<tr${total > 0 && total === mostDeaths ? ' class="deadliest"' : ''}><td>${level}</td><td>${reached}</td>${cells}<td>${total}</td></tr>`;
+        }).join('');
+        const recentRows = runs.slice(-10).reverse().map(run =>
+            `<tr><td>${run.date}</td><td>${run.round}</td><td>${run.score}</td><td>${run.moves}</td><td>${run.gems}</td><td>${DEATH_LABELS[run.reason]}</td><td>${run.seed}</td></tr>`
+        ).join('');
+
+        content.innerHTML = `<p style="text-align: center;">${stats.runs} finished run${stats.runs === 1 ? '' : 's'}, ${totalDeaths(stats.deaths)} lives lost</p>` +
+            `<h4>Deaths by cause</h4><table><tr>${causeHeaders}</tr><tr>${DEATH_CAUSES.map(cause => `<td>${stats.deaths[cause]}</td>`).join('')}</tr></table>` +
+            `<h4>Deaths by level</h4><table><tr><th>Level</th><th>Runs reached</th>${causeHeaders}<th>Total</th></tr>${levelRows}</table>` +
+            `<h4>Latest runs</h4><table><tr><th>Date</th><th>Round</th><th>Score</th><th>Moves</th><th>Gems</th><th>Lost to</th><th>Seed</th></tr>${recentRows}</table>`;
+    }
+
+    const achievementRows = ACHIEVEMENTS.map(({ id, title, description }) => {
+        const unlocked = achievements.unlocked[id];
+        return `<tr${unlocked ? '' : ' style="opacity: 0.4;"'}><td style="text-align: left;">${title}</td><td style="text-align: left;">${description}</td><td>${unlocked || 'locked'}</td></tr>`;
+    }).join('');
+    content.innerHTML += `<h4>Achievements (${Object.keys(achievements.unlocked).length}/${ACHIEVEMENTS.length})</h4><table>${achievementRows}</table>`;
+    document.getElementById('stats-page').style.display = 'block';
 }
 
 // Initialize game
@@ -2170,21 +2902,63 @@ function init() {
     state.playerMesh.visible = false;
     scene.add(state.playerMesh);
 
-    // Create 3 enemy markers (red) - will be shown/hidden based on level
-    state.enemyTiles = [0, 0, 0]; // Placeholder positions
-    for (let i = 0; i < 3; i++) {
-        const enemy = createPlayerMarker(0xff4444, 0xff0000);
-        enemy.visible = false;
-        state.enemyMeshes.push(enemy);
-        scene.add(enemy);
-    }
+    // Enemy markers are made as levels need them (see syncEnemyMarkers)
+
+    // Keep the scene in sync with the game rules
+    bindSimulationEvents();
+    initReplayControls();
+    initEditorControls();
+    document.getElementById('undo-btn').addEventListener('click', undoTurn);
+    document.getElementById('blink-btn').addEventListener('click', toggleBlink);
 
     // Set up splash screen event listeners
     const startBtn = document.getElementById('start-btn');
     const splash = document.getElementById('splash-screen');
 
-    startBtn.addEventListener('click', startGame);
-    splash.addEventListener('click', startGame);
+    startBtn.addEventListener('click', () => startGame());
+    splash.addEventListener('click', () => startGame());
+    initDifficultyPicker();
+    initStealthToggle();
+    // Daily challenge - show today's best result under the button
+    const dailyBtn = document.getElementById('daily-btn');
+    const todaysChallenge = getDailyChallenge();
+    const todaysBest = getBestResult(todaysChallenge.dateKey);
+    dailyBtn.innerHTML = `DAILY ${todaysChallenge.dateKey}` +
+        (todaysBest ? `<br><span class="daily-best">BEST: ${formatDailyResult(todaysBest).toUpperCase()}</span>` : '');
+    dailyBtn.addEventListener('click', startDaily);
+    document.getElementById('practice-btn').addEventListener('click', (event) => {
+        event.stopPropagation(); // Don't let the splash click start a ranked game
+        startGame({ practice: true });
+    });
+
+    document.getElementById('editor-btn').addEventListener('click', startEditor);
+    // Past runs: the high-score table under the buttons and the stats page
+    renderHighScores();
+    document.getElementById('stats-btn').addEventListener('click', showStats);
+    document.querySelector('.close-stats').addEventListener('click', () => {
+        document.getElementById('stats-page').style.display = 'none';
+    });
+    // Play a level file picked from disk
+    const levelFileInput = document.getElementById('level-file');
+    document.getElementById('load-level-btn').addEventListener('click', (event) => {
+        event.stopPropagation(); // Don't let the splash click start a normal game
+        levelFileInput.click();
+    });
+    levelFileInput.addEventListener('click', event => event.stopPropagation());
+    levelFileInput.addEventListener('change', () => {
+        if (levelFileInput.files[0]) startLevelFile(levelFileInput.files[0]);
+        levelFileInput.value = '';
+    });
+
+    // Offer to continue an autosaved run
+    const continueBtn = document.getElementById('continue-btn');
+    const savedRun = loadRun();
+    if (savedRun) {
+        const { snapshot } = savedRun;
+        continueBtn.textContent = `CONTINUE (ROUND ${snapshot.result && snapshot.result.playerWins ? snapshot.round + 1 : snapshot.round})`;
+        continueBtn.style.display = 'block';
+        continueBtn.addEventListener('click', continueGame);
+    }
     window.addEventListener('keydown', (e) => {
         if (!state.splashDismissed && (e.key === 'Enter' || e.key === ' ')) {
             startGame();
@@ -2274,17 +3048,17 @@ function animate() {
 
             // Show enemies
             for (let i = 0; i < state.enemyMeshes.length; i++) {
-                if (state.enemyTiles[i] >= 0) {
+                if (sim.state.enemyTiles[i] >= 0) {
                     state.enemyMeshes[i].visible = true;
                 }
             }
 
             // Ensure player is at final position
             state.playerMesh.position.copy(state.playerIntroEnd);
-            positionPlayerOnTile(state.playerMesh, state.tiles[state.playerTile], false, true);
+            positionPlayerOnTile(state.playerMesh, state.tiles[sim.state.playerTile], false, true);
 
             // Update key labels now that intro is done
-            updateKeyLabels(state.playerTile);
+            updateKeyLabels(sim.state.playerTile);
         }
     }
 
@@ -2304,8 +3078,8 @@ function animate() {
         controls.update();
 
         // Update key labels as camera moves
-        if (state.playerTile !== null && !state.gameOver) {
-            updateKeyLabels(state.playerTile);
+        if (sim.state.playerTile !== null && !sim.state.gameOver) {
+            updateKeyLabels(sim.state.playerTile);
         }
     }
 
@@ -2333,6 +3107,13 @@ function animate() {
         state.orbMesh.children[1].position.y = bobOffset;
     }
 
+    // Animate power-ups (spin, bob and pulse the aura)
+    state.powerUpMeshes.forEach((powerUp, index) => {
+        powerUp.children[0].rotation.y = time * 1.5;
+        powerUp.children[0].position.y = Math.sin(time * 2 + index) * 0.1;
+        powerUp.children[1].scale.setScalar(1 + Math.sin(time * 3 + index) * 0.15);
+    });
+
     // Animate gems (rotation and bobbing)
     state.gemMeshes.forEach((gem, index) => {
         // Rotate the gem
@@ -2349,6 +3130,21 @@ function animate() {
         }
     });
 
+    // Fly caught enemies' ghosts home, in an arc over the surface
+    state.ghostFlights = state.ghostFlights.filter(flight => {
+        const progress = Math.min((Date.now() - flight.start) / GHOST_FLIGHT_DURATION, 1);
+        const eased = 1 - Math.pow(1 - progress, 3);
+        const fromDirection = flight.from.clone().normalize();
+        const turn = new THREE.Quaternion().slerp(
+            new THREE.Quaternion().setFromUnitVectors(fromDirection, flight.to.clone().normalize()), eased
+        );
+        const direction = fromDirection.applyQuaternion(turn);
+        const height = THREE.MathUtils.lerp(flight.from.length(), flight.to.length(), eased) + Math.sin(progress * Math.PI) * 4;
+        flight.marker.position.copy(direction).multiplyScalar(height);
+        flight.marker.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+        return progress < 1;
+    });
+
     // Animate portal effects
     state.portalEffects.forEach((portalEffect, index) => {
         // Rotate outer ring
@@ -2369,6 +3165,20 @@ function animate() {
             const beamPulse = 0.2 + Math.sin(time * 2 + index) * 0.1;
             portalEffect.children[3].material.opacity = beamPulse;
         }
+        // Closed timed portals shrink and fade until they open again
+        const open = sim.isPortalOpen(portalEffect.userData.pair);
+        if (!open) {
+            portalEffect.children[2].material.opacity *= 0.3;
+            portalEffect.children[3].material.opacity *= 0.3;
+        }
+        // Flare after a teleport - swell and brighten, fading back over the flash duration
+        const flashElapsed = Date.now() - (portalEffect.userData.flashStart || 0);
+        const flash = Math.max(0, 1 - flashElapsed / PORTAL_FLASH_DURATION);
+        portalEffect.scale.setScalar((open ? 1 : 0.6) + flash * 0.6);
+        if (flash > 0) {
+            portalEffect.children[2].material.opacity = Math.min(1, portalEffect.children[2].material.opacity + flash * 0.6);
+            portalEffect.children[3].material.opacity = Math.min(1, portalEffect.children[3].material.opacity + flash * 0.6);
+        }
         // Animate floating rings
         for (let i = 4; i < portalEffect.children.length; i++) {
             const ring = portalEffect.children[i];
@@ -0,0 +1,180 @@
+import * as THREE from 'three';
+
+// Geodesic Hexagonal Sphere using subdivided icosahedron
+// This creates a proper hex grid with 12 pentagons at icosahedron vertices
+
+export class GeodesicHexSphere {
+    constructor(radius, subdivisions) {
+        this.radius = radius;
+        this.subdivisions = subdivisions;
+        this.vertices = [];
+        this.faces = [];
+        this.cells = []; // hex/pentagon cells
+        this.vertexToCell = new Map();
+
+        this.generateIcosahedron();
+        this.subdivide();
+        this.generateDualMesh();
+    }
+
+    generateIcosahedron() {
+        // Golden ratio
+        const t = (1 + Math.sqrt(5)) / 2;
+
+        // Icosahedron vertices
+        const verts = [
+            [-1,  t,  0], [ 1,  t,  0], [-1, -t,  0], [ 1, -t,  0],
+            [ 0, -1,  t], [ 0,  1,  t], [ 0, -1, -t], [ 0,  1, -t],
+            [ t,  0, -1], [ t,  0,  1], [-t,  0, -1], [-t,  0,  1]
+        ];
+
+        // Normalize to unit sphere
+        verts.forEach(v => {
+            const len = Math.sqrt(v[0]*v[0] + v[1]*v[1] + v[2]*v[2]);
+            this.vertices.push(new THREE.Vector3(v[0]/len, v[1]/len, v[2]/len));
+        });
+
+        // Icosahedron faces (20 triangles)
+        this.faces = [
+            [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+            [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+            [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+            [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1]
+        ];
+    }
+
+    getMidpoint(v1, v2) {
+        const mid = new THREE.Vector3().addVectors(v1, v2).normalize();
+        return mid;
+    }
+
+    getVertexKey(v) {
+        return `${v.x.toFixed(6)},${v.y.toFixed(6)},${v.z.toFixed(6)}`;
+    }
+
+    subdivide() {
+        for (let i = 0; i < this.subdivisions; i++) {
+            const newFaces = [];
+            const midpointCache = new Map();
+
+            const getMidpointIndex = (i1, i2) => {
+                const key = i1 < i2 ? `${i1}-${i2}` : `${i2}-${i1}`;
+                if (midpointCache.has(key)) {
+                    return midpointCache.get(key);
+                }
+                const mid = this.getMidpoint(this.vertices[i1], this.vertices[i2]);
+                const idx = this.vertices.length;
+                this.vertices.push(mid);
+                midpointCache.set(key, idx);
+                return idx;
+            };
+
+            for (const face of this.faces) {
+                const [a, b, c] = face;
+                const ab = getMidpointIndex(a, b);
+                const bc = getMidpointIndex(b, c);
+                const ca = getMidpointIndex(c, a);
+
+                newFaces.push([a, ab, ca]);
+                newFaces.push([b, bc, ab]);
+                newFaces.push([c, ca, bc]);
+                newFaces.push([ab, bc, ca]);
+            }
+
+            this.faces = newFaces;
+        }
+    }
+
+    generateDualMesh() {
+        // Build vertex to faces mapping
+        const vertexFaces = new Map();
+
+        this.faces.forEach((face, faceIdx) => {
+            face.forEach(vertIdx => {
+                if (!vertexFaces.has(vertIdx)) {
+                    vertexFaces.set(vertIdx, []);
+                }
+                vertexFaces.get(vertIdx).push(faceIdx);
+            });
+        });
+
+        // Calculate face centers
+        const faceCenters = this.faces.map(face => {
+            const center = new THREE.Vector3();
+            face.forEach(idx => center.add(this.vertices[idx]));
+            center.divideScalar(3).normalize();
+            return center;
+        });
+
+        // Create cells (dual vertices = original face centers)
+        // Each original vertex becomes a cell (hex or pentagon)
+        vertexFaces.forEach((faceIndices, vertIdx) => {
+            const vertex = this.vertices[vertIdx];
+
+            // Get face centers around this vertex
+            const cellCorners = faceIndices.map(fi => faceCenters[fi].clone());
+
+            // Sort corners in circular order around the vertex
+            this.sortCornersCircular(cellCorners, vertex);
+
+            // Find neighbors (vertices that share an edge)
+            const neighbors = new Set();
+            faceIndices.forEach(fi => {
+                this.faces[fi].forEach(vi => {
+                    if (vi !== vertIdx) neighbors.add(vi);
+                });
+            });
+
+            this.cells.push({
+                center: vertex.clone().multiplyScalar(this.radius),
+                corners: cellCorners.map(c => c.multiplyScalar(this.radius)),
+                vertexIndex: vertIdx,
+                neighbors: Array.from(neighbors),
+                isPentagon: cellCorners.length === 5
+            });
+
+            this.vertexToCell.set(vertIdx, this.cells.length - 1);
+        });
+
+        // Convert neighbor vertex indices to cell indices
+        this.cells.forEach(cell => {
+            cell.neighbors = cell.neighbors.map(vi => this.vertexToCell.get(vi));
+        });
+    }
+
+    sortCornersCircular(corners, center) {
+        // Create a reference direction perpendicular to center
+        const up = new THREE.Vector3(0, 1, 0);
+        const ref = new THREE.Vector3().crossVectors(center, up).normalize();
+        if (ref.length() < 0.1) {
+            ref.crossVectors(center, new THREE.Vector3(1, 0, 0)).normalize();
+        }
+
+        const angles = corners.map(corner => {
+            const toCorner = corner.clone().sub(center).normalize();
+            const cross = new THREE.Vector3().crossVectors(ref, toCorner);
+            const dot = ref.dot(toCorner);
+            const angle = Math.atan2(cross.dot(center), dot);
+            return angle;
+        });
+
+        // Sort by angle
+        const indexed = corners.map((c, i) => ({ corner: c, angle: angles[i] }));
+        indexed.sort((a, b) => a.angle - b.angle);
+
+        for (let i = 0; i < corners.length; i++) {
+            corners[i] = indexed[i].corner;
+        }
+    }
+}
+
+// Plain-data tile graph for the game rules (no Three.js objects)
+// Each tile keeps its neighbors, pentagon flag and center so the simulation can run headless
+export function tileGraphFromSphere(sphere) {
+    return sphere.cells.map((cell, index) => ({
+        index,
+        neighbors: cell.neighbors.slice(),
+        isPentagon: cell.isPentagon,
+        center: { x: cell.center.x, y: cell.center.y, z: cell.center.z }
+    }));
+}
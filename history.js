@@ -0,0 +1,75 @@
+// Run history
+// Every finished normal run (out of lives) is kept in localStorage: the round reached, score, moves,
+// gems, how the last life was lost, the seed of that round, the date and each round lost on the way.
+// The splash screen shows the best runs and the stats page totals the deaths by cause and by level.
+
+import { getDateKey } from './daily.js';
+
+const HISTORY_KEY = 'vibe-star-chase-history';
+
+// Runs kept - the oldest are dropped beyond this
+const MAX_RUNS = 200;
+
+// Runs in the high-score table
+export const HIGH_SCORE_COUNT = 5;
+
+// Ways a round is lost (see Simulation.endLevel)
+export const DEATH_CAUSES = ['caught', 'drowned', 'burned'];
+
+// Finished runs, oldest first
+export function loadRuns() {
+    try {
+        const runs = JSON.parse(localStorage.getItem(HISTORY_KEY));
+        return Array.isArray(runs) ? runs : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// Add a finished run - returns its place in the high-score table (1 = best)
+// run: { round, score, moves, gems, reason, seed, deaths: [{ round, reason }] } - the date is added here
+export function recordRun(run) {
+    const entry = { ...run, date: getDateKey() };
+    // Placed among the runs that are kept, as the splash screen and stats page will show them
+    const runs = [...loadRuns(), entry].slice(-MAX_RUNS);
+    try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(runs));
+    } catch (e) {
+        // Ignore storage errors - the run just isn't kept
+    }
+    return getHighScores(runs, runs.length).indexOf(entry) + 1;
+}
+
+// Best runs first: higher score, then further round, then the earlier run
+export function getHighScores(runs, count = HIGH_SCORE_COUNT) {
+    return runs
+        .map((run, order) => ({ run, order }))
+        .sort((a, b) => b.run.score - a.run.score || b.run.round - a.run.round || a.order - b.order)
+        .slice(0, count)
+        .map(({ run }) => run);
+}
+
+// Totals over the runs: { runs, deaths: { cause: count }, levels: [{ level, reached, deaths: { cause: count } }] }
+// Every round lost counts, not only the last of each run; a level is reached by every run that got to it
+export function getRunStats(runs) {
+    const countCauses = () => Object.fromEntries(DEATH_CAUSES.map(cause => [cause, 0]));
+    const deaths = countCauses();
+    const levels = [];
+    const getLevel = level => {
+        while (levels.length < level) {
+            levels.push({ level: levels.length + 1, reached: 0, deaths: countCauses() });
+        }
+        return levels[level - 1];
+    };
+
+    runs.forEach(run => {
+        for (let level = 1; level <= run.round; level++) getLevel(level).reached++;
+        (run.deaths || []).forEach(({ round, reason }) => {
+            if (!(reason in deaths)) return;
+            deaths[reason]++;
+            getLevel(round).deaths[reason]++;
+        });
+    });
+
+    return { runs: runs.length, deaths, levels };
+}
@@ -0,0 +1,228 @@
+// Level files
+// A documented, versioned JSON format for hand-made levels (see "Level Files" in the README).
+// Parsed files are the layouts that Simulation.loadLevel and the level editor work with.
+//
+// {
+//     "format": "vibe-star-chase-level",
+//     "version": 3,
+//     "name": "Island hopping",
+//     "subdivisions": 3,                  // Planet size: 10 * 4^subdivisions + 2 tiles
+//     "radius": 20,                       // Optional - defaults to the size generated levels use
+//     "tiles": {                          // Tile indices of each type (a tile has at most one)
+//         "blocked": [0, 1, 2],
+//         "water": [40, 41],
+//         "lava": [],
+//         "ice": [60, 61, 62],            // Version 2 on: ice, mud, crumbling and conveyor (all optional)
+//         "mud": [],
+//         "crumbling": [],
+//         "conveyor": [[90, 91], [91, 92]],
+//                                         // [tile, neighbor it pushes onto] pairs
+//         "portal": [107, 535, 12, 640]   // Linked pairs in order: the 1st and 2nd tiles, the 3rd and 4th...
+//                                         // (before version 3: none, or one pair)
+//     },
+//     "gems": [300, 412],                 // At least one
+//     "orb": 250,                         // Power orb tile, or null
+//     "enemies": [214, 321],              // Enemy spawn tiles
+//     "playerStart": 5,
+//     "rules": {
+//         "enemyCount": 3,                // Optional - defaults to the number of spawns; extra enemies
+//                                         // start where generated levels put them
+//         "orbDuration": 10,              // Optional - enemy turns of orb power
+//         "enemyTypes": ["chaser", "ambusher"]
+//                                         // Optional - personality of each enemy in order (see
+//                                         // ENEMY_TYPES in simulation.js); unlisted enemies are chasers
+//         "enemyPortals": true,           // Optional - enemies path through and teleport by the portals
+//                                         // too (default false)
+//         "tide": true,                   // Optional - the shore round the water floods and drains
+//                                         // (default false)
+//         "lavaFlow": false,              // Optional - lava spreads over the level (default false)
+//         "portals": [{}, { "oneWay": true }, { "switchTurns": 4 }]
+//                                         // Optional - kind of each portal pair in order: oneWay pairs
+//                                         // only lead from their first tile, switchTurns pairs open and
+//                                         // close every that many enemy turns (default two-way, always open)
+//     }
+// }
+
+import {
+    ORB_DURATION, MAX_SUBDIVISIONS, MAX_ENEMIES, ENEMY_TYPES, getCellCount, getRadiusForSubdivisions
+} from './simulation.js';
+
+export const LEVEL_FORMAT = 'vibe-star-chase-level';
+// Version 2 added ice, mud, crumbling and conveyor tiles, version 3 more than one portal pair and
+// their kinds - older files are still read
+export const LEVEL_FORMAT_VERSION = 3;
+
+const TILE_TYPES = ['blocked', 'water', 'lava', 'ice', 'mud', 'crumbling', 'portal'];
+
+// Level file contents (ready for JSON.stringify) for a layout
+export function toLevelFile(layout) {
+    return {
+        format: LEVEL_FORMAT,
+        version: LEVEL_FORMAT_VERSION,
+        name: layout.name,
+        subdivisions: layout.subdivisions,
+        radius: layout.radius,
+        tiles: {
+            blocked: layout.tiles.blocked.slice(),
+            water: layout.tiles.water.slice(),
+            lava: layout.tiles.lava.slice(),
+            ice: layout.tiles.ice.slice(),
+            mud: layout.tiles.mud.slice(),
+            crumbling: layout.tiles.crumbling.slice(),
+            conveyor: layout.tiles.conveyor.map(pair => pair.slice()),
+            portal: layout.tiles.portal.slice()
+        },
+        gems: layout.gems.slice(),
+        orb: layout.orb,
+        enemies: layout.enemies.slice(),
+        playerStart: layout.playerStart,
+        rules: {
+            ...layout.rules,
+            enemyTypes: (layout.rules.enemyTypes || []).slice(),
+            portals: (layout.rules.portals || []).map(kind => ({ ...kind }))
+        }
+    };
+}
+
+// Read a level file (JSON text or an already parsed object) into a layout
+// Throws an Error describing the first problem if the file is not a valid level
+export function parseLevelFile(input) {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (e) {
+            throw new Error(`Level file is not valid JSON: ${e.message}`);
+        }
+    }
+    if (!data || typeof data !== 'object') {
+        throw new Error('Level file is empty');
+    }
+    if (data.format !== LEVEL_FORMAT) {
+        throw new Error('Not a Vibe Star Chase level file');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > LEVEL_FORMAT_VERSION) {
+        throw new Error(`Unsupported level file version: ${data.version}`);
+    }
+
+    const { subdivisions } = data;
+    if (!Number.isInteger(subdivisions) || subdivisions < 1 || subdivisions > MAX_SUBDIVISIONS) {
+        throw new Error(`subdivisions must be a whole number from 1 to ${MAX_SUBDIVISIONS}`);
+    }
+    const tileCount = getCellCount(subdivisions);
+    const isTile = value => Number.isInteger(value) && value >= 0 && value < tileCount;
+    const readTiles = (list, field) => {
+        if (list === undefined) return [];
+        if (!Array.isArray(list) || !list.every(isTile)) {
+            throw new Error(`${field} must be a list of tile indices from 0 to ${tileCount - 1}`);
+        }
+        return Array.from(new Set(list));
+    };
+
+    const radius = data.radius ?? getRadiusForSubdivisions(subdivisions);
+    if (typeof radius !== 'number' || !(radius > 0)) {
+        throw new Error('radius must be a positive number');
+    }
+
+    const tiles = {};
+    const typed = new Set();
+    TILE_TYPES.forEach(type => {
+        tiles[type] = readTiles(data.tiles && data.tiles[type], `tiles.${type}`);
+        tiles[type].forEach(tile => {
+            if (typed.has(tile)) throw new Error(`Tile ${tile} has more than one type`);
+            typed.add(tile);
+        });
+    });
+    const conveyors = data.tiles && data.tiles.conveyor !== undefined ? data.tiles.conveyor : [];
+    if (!Array.isArray(conveyors) || !conveyors.every(pair =>
+        Array.isArray(pair) && pair.length === 2 && pair.every(isTile) && pair[0] !== pair[1])) {
+        throw new Error(`tiles.conveyor must be a list of [tile, tile it pushes onto] pairs of tile indices from 0 to ${tileCount - 1}`);
+    }
+    tiles.conveyor = conveyors.map(pair => pair.slice());
+    tiles.conveyor.forEach(([tile]) => {
+        if (typed.has(tile)) throw new Error(`Tile ${tile} has more than one type`);
+        typed.add(tile);
+    });
+    if (tiles.portal.length % 2 !== 0) {
+        throw new Error('tiles.portal must hold whole pairs of portals');
+    }
+
+    const gems = readTiles(data.gems, 'gems');
+    if (gems.length === 0) {
+        throw new Error('A level needs at least one gem');
+    }
+    const enemies = readTiles(data.enemies, 'enemies');
+
+    const orb = data.orb ?? null;
+    if (orb !== null && !isTile(orb)) {
+        throw new Error(`orb must be a tile index from 0 to ${tileCount - 1}, or null`);
+    }
+    if (!isTile(data.playerStart)) {
+        throw new Error(`playerStart must be a tile index from 0 to ${tileCount - 1}`);
+    }
+
+    const rules = data.rules || {};
+    const enemyCount = rules.enemyCount ?? enemies.length;
+    if (!Number.isInteger(enemyCount) || enemyCount < 0 || enemyCount > MAX_ENEMIES) {
+        throw new Error(`rules.enemyCount must be a whole number from 0 to ${MAX_ENEMIES}`);
+    }
+    const orbDuration = rules.orbDuration ?? ORB_DURATION;
+    if (!Number.isInteger(orbDuration) || orbDuration < 1) {
+        throw new Error('rules.orbDuration must be a whole number of turns (1 or more)');
+    }
+    const enemyTypes = rules.enemyTypes ?? [];
+    if (!Array.isArray(enemyTypes) || enemyTypes.length > MAX_ENEMIES ||
+        !enemyTypes.every(type => ENEMY_TYPES.includes(type))) {
+        throw new Error(`rules.enemyTypes must list up to ${MAX_ENEMIES} of: ${ENEMY_TYPES.join(', ')}`);
+    }
+    const enemyPortals = rules.enemyPortals ?? false;
+    if (typeof enemyPortals !== 'boolean') {
+        throw new Error('rules.enemyPortals must be true or false');
+    }
+
+    const tide = rules.tide ?? false;
+    if (typeof tide !== 'boolean') {
+        throw new Error('rules.tide must be true or false');
+    }
+    const lavaFlow = rules.lavaFlow ?? false;
+    if (typeof lavaFlow !== 'boolean') {
+        throw new Error('rules.lavaFlow must be true or false');
+    }
+    const pairCount = tiles.portal.length / 2;
+    const portalKinds = rules.portals ?? [];
+    if (!Array.isArray(portalKinds) || portalKinds.length > pairCount || !portalKinds.every(kind =>
+        kind && typeof kind === 'object' && typeof (kind.oneWay ?? false) === 'boolean' &&
+        Number.isInteger(kind.switchTurns ?? 0) && (kind.switchTurns ?? 0) >= 0)) {
+        throw new Error(`rules.portals must list up to ${pairCount} portal pair kinds of { oneWay: true or false, switchTurns: whole number of turns }`);
+    }
+    const portals = Array.from({ length: pairCount }, (_, pair) => ({
+        oneWay: (portalKinds[pair] || {}).oneWay ?? false,
+        switchTurns: (portalKinds[pair] || {}).switchTurns ?? 0
+    }));
+
+    return {
+        name: typeof data.name === 'string' ? data.name : '',
+        subdivisions,
+        radius,
+        tiles,
+        gems,
+        orb,
+        enemies,
+        playerStart: data.playerStart,
+        rules: { enemyCount, orbDuration, enemyTypes: enemyTypes.slice(), enemyPortals, tide, lavaFlow, portals }
+    };
+}
+
+// Fetch and parse a level file from a URL
+export async function loadLevelFromUrl(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load level (${response.status} ${response.statusText})`);
+    }
+    return parseLevelFile(await response.text());
+}
+
+// Parse a level file picked with an <input type="file">
+export async function loadLevelFromFile(file) {
+    return parseLevelFile(await file.text());
+}
@@ -0,0 +1,299 @@
+// Merged planet mesh
+// Every tile of the planet lives in one BufferGeometry, instead of a mesh and material per tile
+// (10,242+ draw calls on big planets). Each tile owns a fixed range of vertices, so its height,
+// color, opacity, glow and surface finish can be rewritten in place; raycast hits map back to tiles
+// through their triangle index. It takes two draws: the solid tiles, then the see-through ones
+// (hazards, ice) blended over them without writing depth, so they never hide what's behind them.
+
+import * as THREE from 'three';
+
+// Corners are pulled in toward the tile center to leave gaps between tiles
+const GAP_SCALE = 0.92;
+
+// Changed tiles are uploaded one vertex range each; past this many the whole attribute is uploaded
+const MAX_UPDATE_RANGES = 32;
+
+// Per-tile emissive color and surface (roughness, metalness) reach the standard material's
+// shader as vertex attributes. The solid material drops see-through fragments (alpha below 1) and
+// the see-through material drops solid ones, so each tile is drawn by exactly one of them.
+function createPlanetMaterial(seeThrough) {
+    const material = new THREE.MeshStandardMaterial({
+        vertexColors: true,     // RGBA - hazards are see-through
+        transparent: seeThrough,
+        depthWrite: !seeThrough,
+        side: THREE.DoubleSide
+    });
+    const alphaTest = seeThrough
+        ? 'if (diffuseColor.a >= 1.0) discard;'
+        : 'if (diffuseColor.a < 1.0) discard;';
+
+    material.onBeforeCompile = (shader) => {
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+attribute vec3 tileEmissive;
+attribute vec2 tileSurface;
+varying vec3 vTileEmissive;
+varying vec2 vTileSurface;`)
+            .replace('#include <begin_vertex>', `#include <begin_vertex>
+vTileEmissive = tileEmissive;
+vTileSurface = tileSurface;`);
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>
+varying vec3 vTileEmissive;
+varying vec2 vTileSurface;`)
+            .replace('#include <color_fragment>', `#include <color_fragment>
+${alphaTest}`)
+            .replace('vec3 totalEmissiveRadiance = emissive;', 'vec3 totalEmissiveRadiance = vTileEmissive;')
+            .replace('#include <roughnessmap_fragment>', 'float roughnessFactor = vTileSurface.x;')
+            .replace('#include <metalnessmap_fragment>', 'float metalnessFactor = vTileSurface.y;');
+    };
+    // Both materials share onBeforeCompile's source, so keep their programs apart
+    material.customProgramCacheKey = () => (seeThrough ? 'planet-see-through' : 'planet-solid');
+
+    return material;
+}
+
+export class PlanetMesh {
+    // cells: GeodesicHexSphere cells - { center, corners } in world space
+    constructor(cells) {
+        this.cells = cells;
+
+        // Each tile: n inner corners, n outer corners, inner center, outer center (2n + 2 vertices)
+        // and 4n triangles (top, bottom and two per side)
+        this.vertexStart = new Uint32Array(cells.length + 1);
+        let vertexCount = 0;
+        let triangleCount = 0;
+        cells.forEach((cell, index) => {
+            this.vertexStart[index] = vertexCount;
+            vertexCount += cell.corners.length * 2 + 2;
+            triangleCount += cell.corners.length * 4;
+        });
+        this.vertexStart[cells.length] = vertexCount;
+
+        const indices = new Uint32Array(triangleCount * 3);
+        this.triangleTile = new Uint32Array(triangleCount); // Tile of every triangle, for raycast hits
+        let triangle = 0;
+        const addTriangle = (tileIndex, a, b, c) => {
+            indices[triangle * 3] = a;
+            indices[triangle * 3 + 1] = b;
+            indices[triangle * 3 + 2] = c;
+            this.triangleTile[triangle] = tileIndex;
+            triangle++;
+        };
+
+        cells.forEach((cell, index) => {
+            const n = cell.corners.length;
+            const start = this.vertexStart[index];
+            const innerCenter = start + n * 2;
+            const outerCenter = start + n * 2 + 1;
+
+            for (let i = 0; i < n; i++) {
+                const next = (i + 1) % n;
+                // Top face (outer) and bottom face (inner, reversed winding)
+                addTriangle(index, outerCenter, start + n + i, start + n + next);
+                addTriangle(index, innerCenter, start + next, start + i);
+                // Side quad as two triangles
+                addTriangle(index, start + i, start + next, start + n + next);
+                addTriangle(index, start + i, start + n + next, start + n + i);
+            }
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(vertexCount * 4), 4));
+        geometry.setAttribute('tileEmissive', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+        geometry.setAttribute('tileSurface', new THREE.BufferAttribute(new Float32Array(vertexCount * 2), 2));
+
+        // Base look of every tile (what resetTile goes back to)
+        this.looks = new Array(cells.length).fill(null);
+
+        // Attributes waiting for a whole upload - every attribute starts that way
+        this.fullUploads = new Set(Object.values(geometry.attributes));
+        this.fullUploads.forEach(attribute => {
+            attribute.onUpload(() => this.fullUploads.delete(attribute));
+        });
+
+        this.geometry = geometry;
+        this.mesh = new THREE.Mesh(geometry, createPlanetMaterial(false));
+
+        // See-through tiles get a second geometry over the same attributes, indexing only their own
+        // triangles - rebuilt before the next draw whenever a tile turns see-through or solid
+        this.seeThroughTiles = new Set();
+        this.seeThroughChanged = false;
+        this.seeThroughGeometry = new THREE.BufferGeometry();
+        Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+            this.seeThroughGeometry.setAttribute(name, attribute);
+        });
+        // Sized for the whole planet so it is never replaced; only the used part is uploaded and drawn
+        this.seeThroughGeometry.setIndex(new THREE.BufferAttribute(new Uint32Array(indices.length), 1));
+        this.seeThroughGeometry.setDrawRange(0, 0);
+        this.seeThroughMesh = new THREE.Mesh(this.seeThroughGeometry, createPlanetMaterial(true));
+        this.seeThroughMesh.raycast = () => {}; // Hits come from the whole planet in this.mesh
+        this.seeThroughMesh.onBeforeRender = () => this.updateSeeThroughIndex();
+        this.mesh.add(this.seeThroughMesh);
+    }
+
+    // Set a tile's own look
+    // look: { height, color, opacity, emissive, emissiveIntensity, roughness, metalness }
+    setTileLook(tileIndex, look) {
+        const previous = this.looks[tileIndex];
+        this.looks[tileIndex] = look;
+
+        if (!previous || previous.height !== look.height) {
+            this.writeShape(tileIndex, look.height);
+        }
+        this.writeColor(tileIndex, look.color, look.opacity);
+        this.writeEmissive(tileIndex, look.emissive);
+        this.writeSurface(tileIndex, look.roughness, look.metalness);
+
+        // The planet's bounds change with tile heights
+        this.geometry.boundingSphere = null;
+        this.seeThroughGeometry.boundingSphere = null;
+    }
+
+    // Temporarily glow a tile (e.g. valid moves) - scaled by the tile's own emissive intensity
+    highlightTile(tileIndex, emissiveColor) {
+        const look = this.looks[tileIndex];
+        this.writeEmissive(tileIndex, new THREE.Color(emissiveColor).multiplyScalar(look.emissiveIntensity));
+    }
+
+    // Back to the tile's own look
+    resetTile(tileIndex) {
+        const look = this.looks[tileIndex];
+        this.writeColor(tileIndex, look.color, look.opacity);
+        this.writeEmissive(tileIndex, look.emissive);
+    }
+
+    // Tile index of a raycast hit on this mesh
+    getTileAt(intersection) {
+        return this.triangleTile[intersection.faceIndex];
+    }
+
+    // Rebuild a tile's prism extruded outward by height, with smooth normals like computeVertexNormals
+    writeShape(tileIndex, height) {
+        const { center, corners } = this.cells[tileIndex];
+        const n = corners.length;
+        const start = this.vertexStart[tileIndex];
+        const positions = this.geometry.attributes.position;
+        const normals = this.geometry.attributes.normal;
+        const normal = center.clone().normalize();
+        const offset = normal.clone().multiplyScalar(height);
+        const point = new THREE.Vector3();
+
+        corners.forEach((corner, i) => {
+            point.copy(corner).sub(center).multiplyScalar(GAP_SCALE).add(center);
+            positions.setXYZ(start + i, point.x, point.y, point.z);
+            point.add(offset);
+            positions.setXYZ(start + n + i, point.x, point.y, point.z);
+        });
+        positions.setXYZ(start + n * 2, center.x, center.y, center.z);
+        point.copy(center).add(offset);
+        positions.setXYZ(start + n * 2 + 1, point.x, point.y, point.z);
+
+        // Accumulate area-weighted face normals over the tile's triangles, then normalize
+        const end = this.vertexStart[tileIndex + 1];
+        for (let v = start; v < end; v++) {
+            normals.setXYZ(v, 0, 0, 0);
+        }
+        const index = this.geometry.index.array;
+        const firstTriangle = this.getFirstTriangle(tileIndex);
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const c = new THREE.Vector3();
+        const faceNormal = new THREE.Vector3();
+        const edge = new THREE.Vector3();
+        for (let t = firstTriangle; t < firstTriangle + n * 4; t++) {
+            const ia = index[t * 3];
+            const ib = index[t * 3 + 1];
+            const ic = index[t * 3 + 2];
+            a.fromBufferAttribute(positions, ia);
+            b.fromBufferAttribute(positions, ib);
+            c.fromBufferAttribute(positions, ic);
+            faceNormal.subVectors(c, b).cross(edge.subVectors(a, b));
+            for (const v of [ia, ib, ic]) {
+                normals.setXYZ(v, normals.getX(v) + faceNormal.x, normals.getY(v) + faceNormal.y, normals.getZ(v) + faceNormal.z);
+            }
+        }
+        for (let v = start; v < end; v++) {
+            a.fromBufferAttribute(normals, v).normalize();
+            normals.setXYZ(v, a.x, a.y, a.z);
+        }
+
+        this.markDirty(positions, tileIndex);
+        this.markDirty(normals, tileIndex);
+    }
+
+    writeColor(tileIndex, color, opacity) {
+        if ((opacity < 1) !== this.seeThroughTiles.has(tileIndex)) {
+            if (opacity < 1) this.seeThroughTiles.add(tileIndex);
+            else this.seeThroughTiles.delete(tileIndex);
+            this.seeThroughChanged = true;
+        }
+        const colors = this.geometry.attributes.color;
+        for (let v = this.vertexStart[tileIndex]; v < this.vertexStart[tileIndex + 1]; v++) {
+            colors.setXYZW(v, color.r, color.g, color.b, opacity);
+        }
+        this.markDirty(colors, tileIndex);
+    }
+
+    writeEmissive(tileIndex, emissive) {
+        const emissives = this.geometry.attributes.tileEmissive;
+        for (let v = this.vertexStart[tileIndex]; v < this.vertexStart[tileIndex + 1]; v++) {
+            emissives.setXYZ(v, emissive.r, emissive.g, emissive.b);
+        }
+        this.markDirty(emissives, tileIndex);
+    }
+
+    writeSurface(tileIndex, roughness, metalness) {
+        const surfaces = this.geometry.attributes.tileSurface;
+        for (let v = this.vertexStart[tileIndex]; v < this.vertexStart[tileIndex + 1]; v++) {
+            surfaces.setXY(v, roughness, metalness);
+        }
+        this.markDirty(surfaces, tileIndex);
+    }
+
+    // Upload only the changed tile's part of an attribute (or all of it when many tiles changed)
+    markDirty(attribute, tileIndex) {
+        attribute.needsUpdate = true;
+        if (this.fullUploads.has(attribute)) return;
+
+        if (attribute.updateRanges.length >= MAX_UPDATE_RANGES) {
+            attribute.clearUpdateRanges();
+            this.fullUploads.add(attribute);
+            return;
+        }
+        const start = this.vertexStart[tileIndex];
+        const count = this.vertexStart[tileIndex + 1] - start;
+        attribute.addUpdateRange(start * attribute.itemSize, count * attribute.itemSize);
+    }
+
+    // Copy the see-through tiles' triangles out of the full index
+    updateSeeThroughIndex() {
+        if (!this.seeThroughChanged) return;
+        this.seeThroughChanged = false;
+
+        const source = this.geometry.index.array;
+        const index = this.seeThroughGeometry.index;
+        let offset = 0;
+        Array.from(this.seeThroughTiles).sort((a, b) => a - b).forEach(tileIndex => {
+            const first = this.getFirstTriangle(tileIndex) * 3;
+            const length = this.cells[tileIndex].corners.length * 12;
+            index.array.set(source.subarray(first, first + length), offset);
+            offset += length;
+        });
+        index.clearUpdateRanges();
+        index.addUpdateRange(0, offset);
+        index.needsUpdate = true;
+        this.seeThroughGeometry.setDrawRange(0, offset);
+    }
+
+    // First triangle of a tile - triangles are stored in tile order, and every tile before it has
+    // 2 vertices per corner plus 2 centers and 4 triangles per corner
+    getFirstTriangle(tileIndex) {
+        const cornersBefore = (this.vertexStart[tileIndex] - tileIndex * 2) / 2;
+        return cornersBefore * 4;
+    }
+}
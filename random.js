@@ -0,0 +1,38 @@
+// Seeded random number generation
+// Every random decision that shapes a level goes through a generator created here,
+// so the same seed always rebuilds the same planet, hazards, portals, enemies and gems.
+
+// Largest seed value (seeds are unsigned 32-bit integers)
+const MAX_SEED = 0xffffffff;
+
+// Create a seeded generator (mulberry32) - returns a function with the same contract as Math.random()
+export function createRng(seed) {
+    let a = seed >>> 0;
+    return function rng() {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Pick a fresh seed for a new level
+export function randomSeed() {
+    return Math.floor(Math.random() * MAX_SEED) >>> 0;
+}
+
+// Turn user input (URL parameter, typed text) into a seed
+// Plain numbers are used as-is, anything else is hashed (FNV-1a) so words work as seeds too
+export function parseSeed(text) {
+    const trimmed = String(text).trim();
+    if (/^\d+$/.test(trimmed) && Number(trimmed) <= MAX_SEED) {
+        return Number(trimmed) >>> 0;
+    }
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < trimmed.length; i++) {
+        hash ^= trimmed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
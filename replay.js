@@ -0,0 +1,112 @@
+// Replay playback
+// Plays a recorded level (see Simulation.getRecording) back through the simulation's own
+// movePlayer (blinkPlayer for blinks), so enemy moves, teleports and orb turns follow exactly the same rules as the
+// original game. The caller rebuilds the level from the recording's seed before playing.
+
+// Playback speeds offered by the replay controls (multiplier of the 1x step delay)
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+const BASE_STEP_DELAY = 500; // ms between moves at 1x speed
+
+export class ReplayPlayer {
+    // onStep(position) runs after every replayed move, onFinish() once all moves are played
+    constructor(sim, recording, { onStep = () => {}, onFinish = () => {} } = {}) {
+        this.sim = sim;
+        this.recording = recording;
+        this.position = 0;          // Number of moves already replayed
+        this.speed = 1;
+        this.playing = false;
+        this.finished = false;
+        this.timer = null;
+        this.onStep = onStep;
+        this.onFinish = onFinish;
+    }
+
+    get length() {
+        return this.recording.moves.length;
+    }
+
+    play() {
+        if (this.finished || this.playing) return;
+        this.playing = true;
+        this.scheduleNext();
+    }
+
+    pause() {
+        this.playing = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        // Restart the pending step so the new speed applies immediately
+        if (this.playing) {
+            clearTimeout(this.timer);
+            this.scheduleNext();
+        }
+    }
+
+    // Replay a single move
+    step() {
+        if (this.finished) return;
+
+        const move = this.recording.moves[this.position];
+        if (!move || this.sim.state.gameOver) {
+            this.finish();
+            return;
+        }
+
+        if (move.blink) {
+            this.sim.blinkPlayer(move.to, move.source);
+        } else {
+            this.sim.movePlayer(move.to, move.source);
+        }
+        this.position++;
+
+        // A teleport recorded in the original game must happen again here
+        if (move.teleport !== undefined && this.sim.state.playerTile !== move.teleport && !this.sim.state.gameOver) {
+            console.warn(`Replay diverged at move ${this.position}: expected teleport to ${move.teleport}`);
+        }
+
+        this.onStep(this.position);
+
+        if (this.position >= this.length || this.sim.state.gameOver) {
+            this.finish();
+        }
+    }
+
+    // Play all remaining moves at once (used when leaving a replay early)
+    skipToEnd() {
+        this.pause();
+        while (!this.finished) {
+            this.step();
+        }
+    }
+
+    finish() {
+        if (this.finished) return;
+        this.pause();
+        this.finished = true;
+
+        // The replayed result should match the recorded one
+        const expected = this.recording.result;
+        const actual = this.sim.state.result;
+        if (expected && (!actual || actual.playerWins !== expected.playerWins || actual.reason !== expected.reason)) {
+            console.warn('Replay result differs from the recording', { expected, actual });
+        }
+
+        this.onFinish();
+    }
+
+    scheduleNext() {
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (!this.playing) return;
+            this.step();
+            if (this.playing && !this.finished) {
+                this.scheduleNext();
+            }
+        }, BASE_STEP_DELAY / this.speed);
+    }
+}
@@ -0,0 +1,39 @@
+// Saved game (autosave)
+// Keeps the latest simulation snapshot in localStorage, with the run's lives, deaths and score, so a run
+// survives closing the tab.
+// Storage can be unavailable (private browsing, quota) - saving then silently does nothing.
+
+import { SNAPSHOT_VERSION } from './simulation.js';
+
+const SAVE_KEY = 'vibe-star-chase-save';
+
+// Store a snapshot from Simulation.getSnapshot() and the run around it ({ lives, deaths, score, moves, gems, ranked })
+export function saveRun(snapshot, run) {
+    try {
+        localStorage.setItem(SAVE_KEY, JSON.stringify({ savedAt: Date.now(), snapshot, run }));
+    } catch (e) {
+        // Ignore storage errors - autosave is best effort
+    }
+}
+
+// Load the saved { snapshot, run }, or null if there is none (or it is from an older version)
+// Saves from before lives have a null run
+export function loadRun() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SAVE_KEY));
+        if (saved && saved.snapshot && saved.snapshot.version === SNAPSHOT_VERSION) {
+            return { snapshot: saved.snapshot, run: saved.run || null };
+        }
+    } catch (e) {
+        // Corrupt or unreadable save - treat as no save
+    }
+    return null;
+}
+
+export function clearRun() {
+    try {
+        localStorage.removeItem(SAVE_KEY);
+    } catch (e) {
+        // Ignore storage errors
+    }
+}
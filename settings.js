@@ -0,0 +1,32 @@
+// Player settings
+// Choices that carry over between visits (difficulty, stealth), kept in localStorage.
+// Storage can be unavailable (private browsing, quota) - the defaults are used then.
+
+import { DIFFICULTY_SETTINGS, DEFAULT_DIFFICULTY } from './simulation.js';
+
+const SETTINGS_KEY = 'vibe-star-chase-settings';
+
+// Saved settings, with defaults for anything missing or unknown
+export function loadSettings() {
+    const settings = { difficulty: DEFAULT_DIFFICULTY, stealth: false };
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+        if (saved && DIFFICULTY_SETTINGS[saved.difficulty]) {
+            settings.difficulty = saved.difficulty;
+        }
+        if (saved && typeof saved.stealth === 'boolean') {
+            settings.stealth = saved.stealth;
+        }
+    } catch (e) {
+        // Corrupt or unreadable settings - keep the defaults
+    }
+    return settings;
+}
+
+export function saveSettings(settings) {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        // Ignore storage errors - the choice still applies to this visit
+    }
+}
@@ -0,0 +1,2323 @@
+// Headless game rules
+// Holds the tile graph and all rule state (player, enemies, gems, hazards, portals, power orb)
+// and emits events for every change. No Three.js and no DOM - the renderer and HUD subscribe
+// to the events, and whole games can run in Node for automated rule testing.
+
+import { createRng } from './random.js';
+
+// Planet sizing - level 1 starts at subdivision 3 (~642 cells: 10 * 4^3 + 2)
+export const BASE_RADIUS = 20;
+export const BASE_SUBDIVISIONS = 3;
+
+// Largest planet (subdivision 6 = 40,962 tiles) - the tile graph takes ~0.6 s to build and
+// distance fields stay around a few ms; beyond this, building the planet stalls the page
+export const MAX_SUBDIVISIONS = 6;
+
+// Enemies on the smallest planet; bigger planets get more (see getEnemyCountForLevel), up to the most
+// any level can have - every enemy plans its own move each turn
+const BASE_ENEMIES = 3;
+export const MAX_ENEMIES = 24;
+
+// Enemies never spawn closer to the player than this many hops - counting the player's moves to any
+// tile it can get to first, so a portal near the start doesn't drop the player next to a spawn
+export const MIN_SPAWN_DISTANCE = 10;
+
+// Spawns spiral around the planet this far apart (the golden angle spreads any number of them evenly)
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+// Enemy personalities (see getEnemyTarget) - every type flees the same way while the orb is active
+//   chaser    - heads straight for the player
+//   ambusher  - heads for the tile the player is likely to reach, a few hops along their way to the nearest gem
+//   patroller - walks a fixed loop around its spawn until the player comes near
+//   flanker   - comes round to the far side of the player from the other enemies
+export const ENEMY_TYPES = ['chaser', 'ambusher', 'patroller', 'flanker'];
+
+// Within this many hops of the player every personality simply chases
+const ENEMY_CLOSE_RANGE = 2;
+
+// Ambushers aim this many hops ahead of the player
+const AMBUSH_LOOKAHEAD = 4;
+
+// Flankers aim this many hops beyond the player
+const FLANK_DISTANCE = 3;
+
+// Patrol loops pass through four waypoints this many hops from the spawn; patrollers leave the
+// loop to chase while the player is within the alert distance
+const PATROL_RADIUS = 4;
+const PATROL_WAYPOINTS = 4;
+const PATROL_ALERT_DISTANCE = 5;
+
+// Difficulty settings - how closely the enemies hunt as a pack (see getEnemyTargets)
+//   packRange    - enemies within this many hops of the player share out the approaches to them
+//                  instead of queueing behind each other (0 = every enemy for itself)
+//   guardPortals - an enemy heads for the far end of a portal the player is close to
+export const DIFFICULTY_SETTINGS = {
+    easy: { packRange: 0, guardPortals: false },
+    normal: { packRange: 8, guardPortals: false },
+    hard: { packRange: Infinity, guardPortals: true }
+};
+export const DIFFICULTIES = Object.keys(DIFFICULTY_SETTINGS);
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Stealth (see setStealth) - enemies see this many hops, along the straightest line the grid allows,
+// unless a tall tile stands in the way. What each enemy knows about the player:
+//   unaware   - hasn't seen the player; walks a patrol loop around its spawn
+//   alert     - sees the player and hunts them following its personality
+//   searching - lost sight of the player; heads for the tile it last saw them on, then goes back
+//               to its loop if they aren't there
+export const VISION_RANGE = 6;
+
+// From this level on generated levels let enemies use the portals too (level files choose with rules.enemyPortals)
+export const ENEMY_PORTAL_LEVEL = 6;
+
+// A portal counts as an escape route while the player is this many hops from it
+const PORTAL_GUARD_DISTANCE = 6;
+
+// Timed portals stay open for this many enemy turns, then closed for as many (see isPortalOpen)
+export const PORTAL_SWITCH_TURNS = 4;
+
+// Distance fields kept in the cache (each is one Int32Array over all tiles) - the least recently
+// used one goes first, so gem fields survive the moving targets of enemy personalities
+const MAX_CACHED_FIELDS = 64;
+
+// Most neighbors a tile has (hexagons 6, pentagons 5) - step graphs keep this many steps per tile
+const MAX_NEIGHBORS = 6;
+
+// Tile rules - what each type of tile means for each actor (see getTileRule). Actors are 'player' and
+// the enemy types; an enemy type without an entry of its own follows 'enemy'
+//   enter   - whether the actor can step onto the tile at all
+//   effect  - what stepping onto it does: null, or how the actor dies there ('drowned', 'burned') -
+//             the player loses the level, an enemy is out of play until its ghost is back (RESPAWN_TURNS)
+//   avoid   - whether the actor's paths go round the tile. Chasing enemies never step onto tiles they
+//             avoid, but fleeing ones run onto anything they can enter; for the player it only steers
+//             auto-pathing and the direction guide
+//   cost    - enemy turns a step onto the tile takes: the player's extra turns go to the enemies,
+//             an enemy waits its own out on the tile
+//   carry   - null, or how the tile moves the actor on after its step: 'slide' one more tile the
+//             same way, or 'conveyor' one hop along the belt (see getLanding)
+//   crumble - whether the tile collapses into a hole once the actor steps off it
+function tileRule(rule = {}) {
+    return { enter: true, effect: null, avoid: false, cost: 1, carry: null, crumble: false, ...rule };
+}
+
+export const TILE_RULES = {
+    ground: { player: tileRule(), enemy: tileRule() },
+    blocked: { player: tileRule({ enter: false }), enemy: tileRule({ enter: false }) },
+    water: { player: tileRule({ effect: 'drowned', avoid: true }), enemy: tileRule() },
+    // Auto-pathing leads the player straight over lava; enemies keep clear unless fleeing
+    lava: { player: tileRule({ effect: 'burned' }), enemy: tileRule({ effect: 'burned', avoid: true }) },
+    ice: { player: tileRule({ carry: 'slide' }), enemy: tileRule({ carry: 'slide' }) },
+    mud: { player: tileRule({ cost: 2 }), enemy: tileRule({ cost: 2 }) },
+    conveyor: { player: tileRule({ carry: 'conveyor' }), enemy: tileRule({ carry: 'conveyor' }) },
+    // Only the player's weight brings a crumbling tile down
+    crumbling: { player: tileRule({ crumble: true }), enemy: tileRule() },
+    hole: { player: tileRule({ enter: false }), enemy: tileRule({ enter: false }) }
+};
+
+// Terrain of generated levels, from the level each kind first appears on
+//   ice, mud and crumbling tiles grow in clusters of 3-6 like water and lava (seeds per tile of the planet)
+//   conveyor belts are straight runs of 2-4 tiles, each pushing onto the next
+//   tide and lavaFlow are the hazards that change during the level (see advanceHazards)
+//   oneWayPortals and timedPortals are kinds of portal pair (see getPortalPairsForLevel)
+const TERRAIN_LEVELS = {
+    water: 3, ice: 4, mud: 5, oneWayPortals: 5, tide: 6, conveyor: 7, lava: 8, timedPortals: 8, crumbling: 9, lavaFlow: 10
+};
+const ICE_CLUSTERS = 0.008;
+const MUD_CLUSTERS = 0.008;
+const CRUMBLING_CLUSTERS = 0.006;
+const CONVEYOR_BELTS = 0.004;
+
+// Changing hazards, counted in enemy turns and announced one turn ahead: the tide floods the shore round
+// some of the pools for TIDE_TURNS, then ebbs for as long; every LAVA_FLOW_TURNS each lava cluster smaller
+// than LAVA_MAX_CLUSTER flows onto one more tile
+export const TIDE_TURNS = 8;
+// Pools join the tide until their shores make up this share of the planet's tiles (see findTidalTiles)
+export const MAX_TIDAL_SHARE = 0.02;
+export const LAVA_FLOW_TURNS = 6;
+const LAVA_MAX_CLUSTER = 12;
+
+// Actors whose tile rules give the same paths share distance fields (never the player and an enemy -
+// enemies use portals only on some levels). Profiles are numbered in the order they are first asked for
+const pathSignatures = [];
+const pathProfiles = new Map();
+
+function getPathProfile(actor) {
+    if (!pathProfiles.has(actor)) {
+        const signature = [actor === 'player' ? 'player' : 'enemy', ...Object.values(TILE_RULES).map(rules => {
+            const rule = rules[actor] || rules.enemy;
+            return `${rule.enter}/${rule.avoid}/${rule.cost}/${rule.carry}`;
+        })].join('|');
+        let profile = pathSignatures.indexOf(signature);
+        if (profile === -1) profile = pathSignatures.push(signature) - 1;
+        pathProfiles.set(actor, profile);
+    }
+    return pathProfiles.get(actor);
+}
+
+// Caught enemies come back: the ghost returns to the enemy's spawn tile and rejoins the hunt after
+// this many enemy turns (later if another enemy stands on the spawn or the player is on or next to it)
+export const RESPAWN_TURNS = 10;
+
+// Power orb - player gets 2 moves per enemy move for this many enemy turns (default - level files can change it)
+export const ORB_DURATION = 10;
+export const ORB_MOVES_PER_TURN = 2;
+
+// Power-ups besides the orb, picked up by stepping on them (see collectItemsAt) - generated levels
+// have them from the given level on, and picking up another of a kind adds its amount:
+//   freeze - the enemies sit out the next `amount` enemy turns, and can't catch anyone while frozen
+//   shield - the next catch sends the catching enemies home instead of ending the level
+//   decoy  - dropped where it was picked up; every enemy hunts it for `amount` enemy turns, or until
+//            one of them gets on or next to it
+//   radar  - the paths to every gem show for `amount` enemy turns (drawn by the renderer)
+//   blink  - `amount` jumps, each to any tile two hops away over whatever lies between (see blinkPlayer)
+// timed ones count down each enemy turn; the others are charges used up one at a time
+export const POWER_UPS = {
+    freeze: { level: 2, amount: 3, timed: true },
+    shield: { level: 3, amount: 1, timed: false },
+    decoy: { level: 4, amount: 8, timed: true },
+    radar: { level: 5, amount: 10, timed: true },
+    blink: { level: 6, amount: 2, timed: false }
+};
+export const POWER_UP_TYPES = Object.keys(POWER_UPS);
+
+// Points for the round score (see addScore):
+//   gem         - each gem collected
+//   combo       - extra per gem for each gem in a row collected within comboMoves moves of the last
+//   enemy       - a vulnerable enemy caught during orb time; the second catch of the same orb is worth
+//                 twice as much, the third three times...
+//   escape      - getting away after a turn ended with the nearest enemy 2 hops off
+//   efficiency  - when the round is won: all of it at par moves or fewer (see parMoves), less the more
+//                 moves it took
+export const SCORING = {
+    gem: 100,
+    combo: 50,
+    comboMoves: 4,
+    enemy: 200,
+    escape: 25,
+    efficiency: 500
+};
+// Parts of the score, in the order round summaries list them (see scoreParts)
+export const SCORE_PARTS = ['gem', 'combo', 'enemy', 'escape', 'efficiency'];
+
+// Version of the recording format returned by getRecording()
+export const RECORDING_VERSION = 1;
+
+// Version of the snapshot format returned by getSnapshot()
+export const SNAPSHOT_VERSION = 1;
+
+// Number of cells on a geodesic sphere: 642, 2562, 10242, etc.
+export function getCellCount(subdivisions) {
+    return 10 * Math.pow(4, subdivisions) + 2;
+}
+
+// Planet radius for a subdivision count, scaled to keep a similar hex density on every size
+export function getRadiusForSubdivisions(subdivisions) {
+    const baseCells = getCellCount(BASE_SUBDIVISIONS); // 642
+    return BASE_RADIUS * Math.sqrt(getCellCount(subdivisions) / baseCells);
+}
+
+// Calculate planet parameters for a given level
+// Each level is 10% larger in terms of hexagon count
+export function getPlanetParamsForLevel(level) {
+    // Geodesic spheres have discrete cell counts
+    // Increase subdivision every 3 levels for noticeable progression
+    // Levels 1-3: sub 3 (642), Levels 4-6: sub 4 (2562), Levels 7-9: sub 5 (10242), Levels 10+: sub 6 (40962)
+    const subdivisions = Math.min(
+        MAX_SUBDIVISIONS,
+        BASE_SUBDIVISIONS + Math.floor((level - 1) / 3)
+    );
+
+    return {
+        subdivisions,
+        radius: getRadiusForSubdivisions(subdivisions),
+        targetCells: getCellCount(subdivisions)
+    };
+}
+
+// Enemies on a generated level - a lone one on level 1, then three on the smallest planet and more
+// as the planet grows, in step with its width (the square root of its tile count):
+// 6 on 2,562 tiles, 12 on 10,242 and 24 on 40,962
+export function getEnemyCountForLevel(level) {
+    if (level === 1) return 1;
+    const { targetCells } = getPlanetParamsForLevel(level);
+    const count = Math.round(BASE_ENEMIES * Math.sqrt(targetCells / getCellCount(BASE_SUBDIVISIONS)));
+    return Math.min(MAX_ENEMIES, count);
+}
+
+// Enemy personalities of a generated level, one per enemy - the level's mix, repeated
+// Level 1: a lone chaser, levels 2-3 add a patroller, 4-6 an ambusher, 7+ a flanker
+export function getEnemyTypesForLevel(level) {
+    let mix;
+    if (level === 1) mix = ['chaser'];
+    else if (level <= 3) mix = ['chaser', 'chaser', 'patroller'];
+    else if (level <= 6) mix = ['chaser', 'ambusher', 'patroller'];
+    else mix = ['chaser', 'ambusher', 'flanker'];
+    return Array.from({ length: getEnemyCountForLevel(level) }, (_, i) => mix[i % mix.length]);
+}
+
+// How many times wider than the smallest planet a level's planet is (the square root of how many times
+// the tiles): 1 on 642 tiles, 2 on 2,562, 4 on 10,242 and 8 on 40,962
+function getPlanetWidthForLevel(level) {
+    const { targetCells } = getPlanetParamsForLevel(level);
+    return Math.round(Math.sqrt(targetCells / getCellCount(BASE_SUBDIVISIONS)));
+}
+
+// Portal pairs of a generated level, each { oneWay, switchTurns } - one pair on the smallest planet and
+// more as the planet grows, in step with its width like the enemies: 2 on 2,562 tiles, 4 on 10,242 and
+// 8 on 40,962. The first pair is always a plain two-way one; the others take turns being one-way
+// (from level 5), timed (from level 8) and plain
+export function getPortalPairsForLevel(level) {
+    return Array.from({ length: getPlanetWidthForLevel(level) }, (_, pair) => ({
+        oneWay: pair % 3 === 1 && level >= TERRAIN_LEVELS.oneWayPortals,
+        switchTurns: pair % 3 === 2 && level >= TERRAIN_LEVELS.timedPortals ? PORTAL_SWITCH_TURNS : 0
+    }));
+}
+
+// Power-ups lying on a generated level - one of every kind unlocked by then (see POWER_UPS) for each
+// step of the planet's width, like the portal pairs
+export function getPowerUpsForLevel(level) {
+    const kinds = POWER_UP_TYPES.filter(type => level >= POWER_UPS[type].level);
+    return Array.from({ length: getPlanetWidthForLevel(level) }, () => kinds).flat();
+}
+
+// Vector helpers for tile centers (plain { x, y, z } objects)
+function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function normalize(a) {
+    const length = Math.sqrt(dot(a, a)) || 1;
+    return { x: a.x / length, y: a.y / length, z: a.z / length };
+}
+
+function cross(a, b) {
+    return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+// Tile whose center points most nearly along a direction from the planet's center
+function getNearestTile(tiles, direction) {
+    let nearest = 0;
+    let nearestAlignment = -Infinity;
+    tiles.forEach((tile, index) => {
+        const alignment = dot(tile.center, direction);
+        if (alignment > nearestAlignment) {
+            nearestAlignment = alignment;
+            nearest = index;
+        }
+    });
+    return nearest;
+}
+
+// Neighbor of a tile straight on from the step that came onto it (null if none lines up within about
+// 60 degrees) - the step's direction turned onto the sphere at the tile, as a held movement key is
+export function getTileAhead(tiles, fromIndex, tileIndex) {
+    const center = tiles[tileIndex].center;
+    const up = normalize(center);
+    const step = subtract(center, tiles[fromIndex].center);
+    const along = dot(step, up);
+    const direction = normalize({ x: step.x - up.x * along, y: step.y - up.y * along, z: step.z - up.z * along });
+
+    let ahead = null;
+    let bestAlignment = 0.5;
+    for (const neighbor of tiles[tileIndex].neighbors) {
+        const alignment = dot(normalize(subtract(tiles[neighbor].center, center)), direction);
+        if (alignment > bestAlignment) {
+            bestAlignment = alignment;
+            ahead = neighbor;
+        }
+    }
+    return ahead;
+}
+
+// Kind of each portal pair (see portalPairs) - plain two-way pairs where none is given
+function getPortalPairs(portalTiles, pairs = []) {
+    return Array.from({ length: Math.ceil(portalTiles.length / 2) }, (_, pair) => ({
+        oneWay: false,
+        switchTurns: 0,
+        ...pairs[pair]
+    }));
+}
+
+// Nothing of any power-up (see powers)
+function createPowers() {
+    return Object.fromEntries(POWER_UP_TYPES.map(type => [type, 0]));
+}
+
+// No points in any part of the score (see scoreParts)
+function createScoreParts() {
+    return Object.fromEntries(SCORE_PARTS.map(part => [part, 0]));
+}
+
+// Fresh rule state (before any level is started)
+function createInitialState() {
+    return {
+        tiles: [],                  // Tile graph: { index, neighbors, isPentagon, center }
+        playerTile: null,
+        enemyTiles: [],             // Enemy tile indices (-1 = inactive)
+        enemyTypes: [],             // Personality of each enemy (see ENEMY_TYPES)
+        enemyPatrols: [],           // Patrol loops: { route: [waypoint tiles], waypoint } (null for enemies without one)
+        enemyAwareness: [],         // What each enemy knows of the player: { mode, lastSeenTile } (see VISION_RANGE)
+        enemySpawns: [],            // Tile each enemy started the level on (-1 = inactive)
+        enemyGhosts: [],            // Caught enemies waiting to come back: { tile, turnsLeft } (null while in play)
+        enemyDelays: [],            // Enemy turns each enemy still has to wait out (stuck in mud)
+        gameOver: false,
+        moveCount: 0,
+        portalTiles: [],            // Portal tile indices in linked pairs: tiles 2k and 2k + 1 are pair k
+        portalPairs: [],            // Kind of each pair: { oneWay (only tile 2k leads anywhere), switchTurns (0 = always open) }
+        enemiesUsePortals: false,   // Whether enemies path through and teleport by portals (a per-level rule)
+        blockedTiles: new Set(),    // Tall impassable tiles (Giant's Causeway style)
+        waterTiles: new Set(),      // Water tiles - player drowns if they step on these
+        lavaTiles: new Set(),       // Lava tiles - burns whoever steps on it (see TILE_RULES)
+        iceTiles: new Set(),        // Ice tiles - slide whoever steps on them one more tile
+        mudTiles: new Set(),        // Mud tiles - a step onto them takes two enemy turns
+        crumblingTiles: new Set(),  // Crumbling tiles - become holes once the player steps off them
+        holeTiles: new Set(),       // Collapsed crumbling tiles - nobody can enter them
+        conveyorTiles: new Map(),   // Conveyor tiles - each pushes whoever steps on it onto the tile it maps to
+        tide: false,                // Whether the tide floods the shore (a per-level rule)
+        lavaFlow: false,            // Whether lava spreads (a per-level rule)
+        tidalTiles: new Set(),      // Shore tiles the tide floods - water at high tide
+        hazardTurn: 0,              // Enemy turns taken this level - the tide and lava flows keep time by it
+        hazardWarnings: new Map(),  // Tiles changing at the end of the next enemy turn - tile -> type it turns into
+        // Power orb - player gets 2 moves per enemy move for 10 enemy turns
+        orbTile: null,              // Tile index where orb is placed
+        orbActive: false,           // Whether orb power is currently active
+        orbMovesRemaining: 0,       // Enemy turns left with orb power
+        orbPlayerMovesLeft: 0,      // Player moves left before enemies move (2 when orb active)
+        orbDuration: ORB_DURATION,  // Enemy turns of orb power (a level file can change it)
+        powerUps: [],               // Power-ups lying on the planet: { type, tile } (see POWER_UPS)
+        powers: createPowers(),     // What the player has of each power-up: enemy turns left, or charges
+        decoyTile: null,            // Tile of the decoy the enemies hunt while it lasts
+        gemTiles: [],               // Tiles with collectible gems
+        gemsCollected: 0,
+        // Round score (see SCORING)
+        score: 0,
+        scoreParts: createScoreParts(), // Points by part of the score
+        parMoves: 0,                // Moves of a nearest-gem-first route from the start through every gem
+        combo: 0,                   // Gems in the current combo
+        lastGemMove: null,          // Move count when the last gem was collected
+        orbCatches: 0,              // Enemies caught during the current (or last) orb
+        closeCall: false,           // Whether the last turn ended with the nearest enemy 2 hops off
+        totalGems: 5,
+        round: 1,
+        seed: 0,                    // Seed the current level was generated from
+        difficulty: DEFAULT_DIFFICULTY, // Key of DIFFICULTY_SETTINGS - kept from level to level
+        stealth: false,             // Whether enemies have to see the player to hunt them - kept from level to level
+        // Move recording - every player move of the level, in order (see getRecording)
+        moveLog: [],
+        result: null                // { playerWins, reason } once the level is over
+    };
+}
+
+export class Simulation {
+    constructor() {
+        this.state = createInitialState();
+        this.listeners = new Map();
+        this.rng = Math.random;
+        this.layout = null;         // Hand-made layout the current level was loaded from (see loadLevel)
+        this.distanceFields = new Map(); // Cached distance fields (see getDistanceField)
+        this.stepGraphs = new Map();     // Cached step graphs, one per path profile (see getStepGraph)
+        this.tileRules = new Map();      // Cached rule of every tile, one list per actor (see getTileRule)
+    }
+
+    // Subscribe to a rule event - returns an unsubscribe function
+    on(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (!handlers) return;
+        const index = handlers.indexOf(handler);
+        if (index !== -1) handlers.splice(index, 1);
+    }
+
+    emit(type, detail = {}) {
+        const handlers = this.listeners.get(type);
+        if (!handlers) return;
+        // Copy so handlers can unsubscribe while being called
+        for (const handler of handlers.slice()) {
+            handler(detail);
+        }
+    }
+
+    // Choose how closely enemies coordinate (a key of DIFFICULTY_SETTINGS) - applies from the next turn
+    setDifficulty(difficulty) {
+        if (!DIFFICULTY_SETTINGS[difficulty]) {
+            throw new Error(`Unknown difficulty: ${difficulty}`);
+        }
+        this.state.difficulty = difficulty;
+    }
+
+    // Turn stealth on or off (see VISION_RANGE) - applies from the next level started
+    setStealth(enabled) {
+        this.state.stealth = enabled;
+    }
+
+    // Build a level on the given tile graph
+    // The graph must come from GeodesicHexSphere at getPlanetParamsForLevel(level).subdivisions
+    startLevel(level, seed, tiles) {
+        const state = this.state;
+
+        // Set round and calculate gems
+        // Level 1: 1 gem (tutorial), Level 2+: 5, 7, 9, etc.
+        state.round = level;
+        state.totalGems = level === 1 ? 1 : 5 + (level - 2) * 2;
+        state.gemsCollected = 0;
+        this.resetScore();
+        state.gameOver = false;
+        state.moveCount = 0;
+        state.moveLog = [];
+        state.result = null;
+        state.tiles = tiles;
+        state.blockedTiles = new Set();
+        state.waterTiles = new Set();
+        state.lavaTiles = new Set();
+        state.iceTiles = new Set();
+        state.mudTiles = new Set();
+        state.crumblingTiles = new Set();
+        state.holeTiles = new Set();
+        state.conveyorTiles = new Map();
+        state.hazardTurn = 0;
+        state.hazardWarnings = new Map();
+        state.gemTiles = [];
+        state.orbTile = null;
+        state.orbActive = false;
+        state.orbMovesRemaining = 0;
+        state.orbPlayerMovesLeft = 0;
+        state.orbDuration = ORB_DURATION;
+        state.powerUps = [];
+        state.powers = createPowers();
+        state.decoyTile = null;
+        state.enemiesUsePortals = level >= ENEMY_PORTAL_LEVEL;
+        state.tide = level >= TERRAIN_LEVELS.tide;
+        state.lavaFlow = level >= TERRAIN_LEVELS.lavaFlow;
+
+        // Seed the generator before anything random happens
+        state.seed = seed;
+        this.rng = createRng(seed);
+        this.layout = null;
+        this.clearPathCache();
+
+        this.generateTerrain(level);
+        this.placeActors(level);
+        state.tidalTiles = state.tide ? this.findTidalTiles() : new Set();
+        state.parMoves = this.getParMoves();
+
+        this.emit('levelStart', { level, seed });
+    }
+
+    // Build a hand-made level (from the level editor or a level file, see levels.js) on its tile graph
+    // layout: { subdivisions, radius, tiles: { blocked, water, lava, ice, mud, crumbling, conveyor, portal },
+    //          gems, orb, enemies, playerStart, rules } - conveyor holds [tile, tile it pushes onto] pairs
+    loadLevel(layout, tiles, level = 1) {
+        const state = this.state;
+
+        state.round = level;
+        state.seed = layout.seed || 0;
+        this.rng = createRng(state.seed);
+        this.layout = layout;
+        this.clearPathCache();
+        state.tiles = tiles;
+        state.gameOver = false;
+        state.result = null;
+        state.moveCount = 0;
+        state.moveLog = [];
+        state.blockedTiles = new Set(layout.tiles.blocked);
+        state.waterTiles = new Set(layout.tiles.water);
+        state.lavaTiles = new Set(layout.tiles.lava);
+        state.iceTiles = new Set(layout.tiles.ice);
+        state.mudTiles = new Set(layout.tiles.mud);
+        state.crumblingTiles = new Set(layout.tiles.crumbling);
+        state.holeTiles = new Set();
+        state.conveyorTiles = new Map(layout.tiles.conveyor);
+        state.hazardTurn = 0;
+        state.hazardWarnings = new Map();
+        state.portalTiles = layout.tiles.portal.slice();
+        state.portalPairs = getPortalPairs(state.portalTiles, (layout.rules || {}).portals);
+        state.playerTile = layout.playerStart;
+        state.gemTiles = layout.gems.slice();
+        state.totalGems = layout.gems.length;
+        state.gemsCollected = 0;
+        this.resetScore();
+        state.orbTile = layout.orb;
+        state.orbActive = false;
+        state.orbMovesRemaining = 0;
+        state.orbPlayerMovesLeft = 0;
+        // Hand-made levels have no power-ups besides the orb
+        state.powerUps = [];
+        state.powers = createPowers();
+        state.decoyTile = null;
+
+        // Rule parameters - enemies beyond the listed spawns start where generated levels put them
+        const rules = layout.rules || {};
+        state.orbDuration = rules.orbDuration ?? ORB_DURATION;
+        state.enemiesUsePortals = rules.enemyPortals ?? false;
+        state.tide = rules.tide ?? false;
+        state.lavaFlow = rules.lavaFlow ?? false;
+        const enemyCount = rules.enemyCount ?? layout.enemies.length;
+        state.enemyTiles = layout.enemies.slice(0, enemyCount);
+        if (state.enemyTiles.length < enemyCount) {
+            const usedTiles = new Set([state.playerTile, ...state.portalTiles, ...state.enemyTiles]);
+            const spawns = this.getSpawnTiles(enemyCount, usedTiles);
+            state.enemyTiles.push(...spawns.slice(state.enemyTiles.length));
+        }
+        this.setEnemyTypes(rules.enemyTypes || []);
+        state.enemySpawns = state.enemyTiles.slice();
+        state.enemyGhosts = state.enemyTiles.map(() => null);
+        state.enemyDelays = state.enemyTiles.map(() => 0);
+        state.tidalTiles = state.tide ? this.findTidalTiles() : new Set();
+        state.parMoves = this.getParMoves();
+
+        this.emit('levelStart', { level, seed: state.seed });
+    }
+
+    // Plain-data copy of the rule state (no tile graph - that is rebuilt from the level)
+    // Safe to JSON.stringify; restoreSnapshot() brings the game back to exactly this point
+    getSnapshot() {
+        const state = this.state;
+        return {
+            version: SNAPSHOT_VERSION,
+            round: state.round,
+            seed: state.seed,
+            tileCount: state.tiles.length,
+            playerTile: state.playerTile,
+            enemyTiles: state.enemyTiles.slice(),
+            enemyTypes: state.enemyTypes.slice(),
+            difficulty: state.difficulty,
+            stealth: state.stealth,
+            enemyAwareness: state.enemyAwareness.map(awareness => ({ ...awareness })),
+            enemyPatrols: state.enemyPatrols.map(patrol => patrol && { route: patrol.route.slice(), waypoint: patrol.waypoint }),
+            enemySpawns: state.enemySpawns.slice(),
+            enemyGhosts: state.enemyGhosts.map(ghost => ghost && { ...ghost }),
+            enemyDelays: state.enemyDelays.slice(),
+            gemTiles: state.gemTiles.slice(),
+            gemsCollected: state.gemsCollected,
+            totalGems: state.totalGems,
+            portalTiles: state.portalTiles.slice(),
+            portalPairs: state.portalPairs.map(pair => ({ ...pair })),
+            enemiesUsePortals: state.enemiesUsePortals,
+            blockedTiles: Array.from(state.blockedTiles),
+            waterTiles: Array.from(state.waterTiles),
+            lavaTiles: Array.from(state.lavaTiles),
+            iceTiles: Array.from(state.iceTiles),
+            mudTiles: Array.from(state.mudTiles),
+            crumblingTiles: Array.from(state.crumblingTiles),
+            holeTiles: Array.from(state.holeTiles),
+            conveyorTiles: Array.from(state.conveyorTiles),
+            tide: state.tide,
+            lavaFlow: state.lavaFlow,
+            tidalTiles: Array.from(state.tidalTiles),
+            hazardTurn: state.hazardTurn,
+            hazardWarnings: Array.from(state.hazardWarnings),
+            orbTile: state.orbTile,
+            orbActive: state.orbActive,
+            orbMovesRemaining: state.orbMovesRemaining,
+            orbPlayerMovesLeft: state.orbPlayerMovesLeft,
+            orbDuration: state.orbDuration,
+            powerUps: state.powerUps.map(powerUp => ({ ...powerUp })),
+            powers: { ...state.powers },
+            decoyTile: state.decoyTile,
+            score: state.score,
+            scoreParts: { ...state.scoreParts },
+            parMoves: state.parMoves,
+            combo: state.combo,
+            lastGemMove: state.lastGemMove,
+            orbCatches: state.orbCatches,
+            closeCall: state.closeCall,
+            moveCount: state.moveCount,
+            moveLog: state.moveLog.map(entry => ({ ...entry })),
+            gameOver: state.gameOver,
+            result: state.result
+        };
+    }
+
+    // Restore a snapshot onto the tile graph of its level
+    // Throws if the snapshot does not fit this graph (wrong version or planet size)
+    restoreSnapshot(snapshot, tiles) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version: ${snapshot && snapshot.version}`);
+        }
+        if (snapshot.tileCount !== tiles.length) {
+            throw new Error(`Snapshot is for ${snapshot.tileCount} tiles, planet has ${tiles.length}`);
+        }
+
+        const state = this.state;
+        this.clearPathCache();
+        state.tiles = tiles;
+        state.round = snapshot.round;
+        state.seed = snapshot.seed;
+        state.playerTile = snapshot.playerTile;
+        state.enemyTiles = snapshot.enemyTiles.slice();
+        state.difficulty = DIFFICULTY_SETTINGS[snapshot.difficulty] ? snapshot.difficulty : DEFAULT_DIFFICULTY;
+        // Saves from before enemy personalities had only chasers
+        state.enemyTypes = snapshot.enemyTypes ? snapshot.enemyTypes.slice() : state.enemyTiles.map(() => 'chaser');
+        state.enemyPatrols = (snapshot.enemyPatrols || state.enemyTiles.map(() => null))
+            .map(patrol => patrol && { route: patrol.route.slice(), waypoint: patrol.waypoint });
+        // Saves from before stealth always had enemies that knew where the player was
+        state.stealth = snapshot.stealth ?? false;
+        state.enemyAwareness = snapshot.enemyAwareness
+            ? snapshot.enemyAwareness.map(awareness => ({ ...awareness }))
+            : state.enemyTiles.map(() => ({ mode: 'alert', lastSeenTile: null }));
+        // Saves from before respawning lose caught enemies for the rest of the level
+        state.enemySpawns = snapshot.enemySpawns ? snapshot.enemySpawns.slice() : state.enemyTiles.map(() => -1);
+        state.enemyGhosts = (snapshot.enemyGhosts || state.enemyTiles.map(() => null)).map(ghost => ghost && { ...ghost });
+        state.enemyDelays = snapshot.enemyDelays ? snapshot.enemyDelays.slice() : state.enemyTiles.map(() => 0);
+        state.gemTiles = snapshot.gemTiles.slice();
+        state.gemsCollected = snapshot.gemsCollected;
+        state.totalGems = snapshot.totalGems;
+        state.portalTiles = snapshot.portalTiles.slice();
+        // Saves from before portal kinds have plain two-way pairs
+        state.portalPairs = getPortalPairs(state.portalTiles, snapshot.portalPairs);
+        state.enemiesUsePortals = snapshot.enemiesUsePortals ?? false;
+        state.blockedTiles = new Set(snapshot.blockedTiles);
+        state.waterTiles = new Set(snapshot.waterTiles);
+        state.lavaTiles = new Set(snapshot.lavaTiles);
+        // Saves from before ice, mud, crumbling tiles and conveyors have none
+        state.iceTiles = new Set(snapshot.iceTiles);
+        state.mudTiles = new Set(snapshot.mudTiles);
+        state.crumblingTiles = new Set(snapshot.crumblingTiles);
+        state.holeTiles = new Set(snapshot.holeTiles);
+        state.conveyorTiles = new Map(snapshot.conveyorTiles);
+        // Saves from before the tide and lava flows keep their hazards where they are
+        state.tide = snapshot.tide ?? false;
+        state.lavaFlow = snapshot.lavaFlow ?? false;
+        state.tidalTiles = new Set(snapshot.tidalTiles);
+        state.hazardTurn = snapshot.hazardTurn ?? 0;
+        state.hazardWarnings = new Map(snapshot.hazardWarnings);
+        state.orbTile = snapshot.orbTile;
+        state.orbActive = snapshot.orbActive;
+        state.orbMovesRemaining = snapshot.orbMovesRemaining;
+        state.orbPlayerMovesLeft = snapshot.orbPlayerMovesLeft;
+        state.orbDuration = snapshot.orbDuration ?? ORB_DURATION;
+        // Saves from before power-ups have none lying about or in hand
+        state.powerUps = (snapshot.powerUps ?? []).map(powerUp => ({ ...powerUp }));
+        state.powers = { ...createPowers(), ...snapshot.powers };
+        state.decoyTile = snapshot.decoyTile ?? null;
+        // Saves from before scoring have no points so far and no par
+        state.score = snapshot.score ?? 0;
+        state.scoreParts = { ...createScoreParts(), ...snapshot.scoreParts };
+        state.parMoves = snapshot.parMoves ?? 0;
+        state.combo = snapshot.combo ?? 0;
+        state.lastGemMove = snapshot.lastGemMove ?? null;
+        state.orbCatches = snapshot.orbCatches ?? 0;
+        state.closeCall = snapshot.closeCall ?? false;
+        state.moveCount = snapshot.moveCount;
+        state.moveLog = snapshot.moveLog.map(entry => ({ ...entry }));
+        state.gameOver = snapshot.gameOver;
+        state.result = snapshot.result;
+
+        this.emit('restore', { level: state.round, seed: state.seed });
+    }
+
+    // Pick blocked tiles and grow clusters of the other terrain (see TERRAIN_LEVELS)
+    generateTerrain(level) {
+        const state = this.state;
+        const cells = state.tiles;
+
+        // First pass: identify blocked/tall tiles
+        cells.forEach((cell, index) => {
+            const isTall = cell.isPentagon || (level >= 2 && this.rng() < 0.05);
+            if (isTall) {
+                state.blockedTiles.add(index);
+            }
+        });
+
+        // Generate water clusters (level 3+): clusters of 3-6 connected hexagons
+        if (level >= TERRAIN_LEVELS.water) {
+            const numClusters = Math.floor(cells.length * 0.015); // ~1.5% of tiles as cluster seeds
+            this.growClusters(numClusters, state.waterTiles, idx => !state.blockedTiles.has(idx));
+        }
+
+        // Generate lava clusters (level 8+): clusters of 3-6 connected hexagons
+        // Lava kills the player and enemies, but auto-pathing doesn't avoid it (unlike water)
+        if (level >= TERRAIN_LEVELS.lava) {
+            const numClusters = Math.floor(cells.length * 0.012); // ~1.2% of tiles as cluster seeds
+            this.growClusters(numClusters, state.lavaTiles, idx =>
+                !state.blockedTiles.has(idx) && !state.waterTiles.has(idx)
+            );
+        }
+
+        // Movement terrain goes on plain ground, after the hazards so earlier levels keep their layouts
+        const isGround = idx => this.getTileType(idx) === 'ground';
+        if (level >= TERRAIN_LEVELS.ice) {
+            this.growClusters(Math.floor(cells.length * ICE_CLUSTERS), state.iceTiles, isGround);
+        }
+        if (level >= TERRAIN_LEVELS.mud) {
+            this.growClusters(Math.floor(cells.length * MUD_CLUSTERS), state.mudTiles, isGround);
+        }
+        if (level >= TERRAIN_LEVELS.conveyor) {
+            this.layConveyorBelts(Math.floor(cells.length * CONVEYOR_BELTS));
+        }
+        if (level >= TERRAIN_LEVELS.crumbling) {
+            this.growClusters(Math.floor(cells.length * CRUMBLING_CLUSTERS), state.crumblingTiles, isGround);
+        }
+    }
+
+    // Lay straight conveyor belts of 2-4 tiles on plain ground, each tile pushing onto the next;
+    // the last pushes onto the tile beyond, which must be plain ground too
+    layConveyorBelts(numBelts) {
+        const state = this.state;
+        const cells = state.tiles;
+        const isGround = idx => this.getTileType(idx) === 'ground';
+
+        for (let b = 0; b < numBelts; b++) {
+            const start = Math.floor(this.rng() * cells.length);
+            if (!isGround(start)) continue;
+            const length = 2 + Math.floor(this.rng() * 3); // 2 to 4
+            const belt = [start];
+            let next = cells[start].neighbors[Math.floor(this.rng() * cells[start].neighbors.length)];
+
+            // Run straight on until the belt is long enough or the ground runs out
+            while (belt.length < length && next !== null && isGround(next) && !belt.includes(next)) {
+                belt.push(next);
+                next = getTileAhead(cells, belt[belt.length - 2], next);
+            }
+            if (belt.length < 2 || next === null || !isGround(next) || belt.includes(next)) continue;
+            belt.forEach((tile, i) => state.conveyorTiles.set(tile, belt[i + 1] ?? next));
+        }
+    }
+
+    // Grow random clusters of 3-6 connected tiles into the target set
+    growClusters(numClusters, targetSet, canUse) {
+        const cells = this.state.tiles;
+
+        for (let c = 0; c < numClusters; c++) {
+            // Find a valid seed tile
+            let seedIndex = -1;
+            let attempts = 0;
+            while (seedIndex < 0 && attempts < 50) {
+                const candidate = Math.floor(this.rng() * cells.length);
+                if (canUse(candidate) && !targetSet.has(candidate)) {
+                    seedIndex = candidate;
+                }
+                attempts++;
+            }
+            if (seedIndex < 0) continue;
+
+            // Grow cluster from seed (3-6 tiles)
+            const clusterSize = 3 + Math.floor(this.rng() * 4); // 3 to 6
+            const cluster = [seedIndex];
+            targetSet.add(seedIndex);
+
+            while (cluster.length < clusterSize) {
+                // Pick a random tile from cluster and try to expand
+                const expandFrom = cluster[Math.floor(this.rng() * cluster.length)];
+
+                // Find valid neighbor to add
+                const validNeighbors = cells[expandFrom].neighbors.filter(n =>
+                    canUse(n) && !targetSet.has(n)
+                );
+
+                if (validNeighbors.length === 0) break; // Can't expand further
+
+                const newTile = validNeighbors[Math.floor(this.rng() * validNeighbors.length)];
+                cluster.push(newTile);
+                targetSet.add(newTile);
+            }
+        }
+    }
+
+    // Find nearest valid tile (plain ground, not excluded, optionally must be hexagon)
+    findValidTile(startIndex, excludeTiles = new Set(), mustBeHexagon = false) {
+        const state = this.state;
+        const isValid = (idx) => {
+            if (this.getTileType(idx) !== 'ground' || excludeTiles.has(idx)) return false;
+            if (mustBeHexagon && state.tiles[idx].isPentagon) return false;
+            return true;
+        };
+        if (isValid(startIndex)) return startIndex;
+        const visited = new Set([startIndex]);
+        const queue = [startIndex];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            for (const neighbor of state.tiles[current].neighbors) {
+                if (!visited.has(neighbor)) {
+                    visited.add(neighbor);
+                    if (isValid(neighbor)) {
+                        return neighbor;
+                    }
+                    queue.push(neighbor);
+                }
+            }
+        }
+        return startIndex;
+    }
+
+    // Spawn tiles for a number of enemies, spread evenly around the planet away from the player:
+    // points on a spiral from near the player's side to the far side, each moved to the nearest free
+    // tile at least MIN_SPAWN_DISTANCE hops from the player by any route (see getSpawnDistances).
+    // Each spawn is added to usedTiles. Built without the random generator so a seed still lays out the same level
+    getSpawnTiles(count, usedTiles) {
+        const state = this.state;
+        const tiles = state.tiles;
+        const excluded = new Set(usedTiles);
+        this.getSpawnDistances().forEach((distance, tile) => {
+            if (distance >= 0 && distance < MIN_SPAWN_DISTANCE) excluded.add(tile);
+        });
+
+        // Spiral axis through the player
+        const up = normalize(tiles[state.playerTile].center);
+        const axisX = normalize(cross(up, Math.abs(up.y) < 0.9 ? { x: 0, y: 1, z: 0 } : { x: 1, y: 0, z: 0 }));
+        const axisY = cross(up, axisX);
+
+        const spawns = [];
+        for (let i = 0; i < count; i++) {
+            // Height along the axis runs from near the player (1) to the far side (-1), reaching neither
+            const height = 1 - 2 * (i + 1) / (count + 1);
+            const ring = Math.sqrt(1 - height * height);
+            const cos = Math.cos(i * GOLDEN_ANGLE) * ring;
+            const sin = Math.sin(i * GOLDEN_ANGLE) * ring;
+            const direction = {
+                x: up.x * height + axisX.x * cos + axisY.x * sin,
+                y: up.y * height + axisX.y * cos + axisY.y * sin,
+                z: up.z * height + axisX.z * cos + axisY.z * sin
+            };
+
+            const spawn = this.findValidTile(getNearestTile(tiles, direction), excluded);
+            excluded.add(spawn);
+            usedTiles.add(spawn);
+            spawns.push(spawn);
+        }
+        return spawns;
+    }
+
+    // How close an enemy starting on each tile could get to the player: the fewest enemy turns to any tile
+    // the player can reach in under MIN_SPAWN_DISTANCE moves, plus those moves (-1 = never within range)
+    getSpawnDistances() {
+        const reach = this.getPlayerReach(this.state.playerTile, MIN_SPAWN_DISTANCE);
+        return this.computeDistanceField(-1, 'enemy', Array.from(reach));
+    }
+
+    // Player moves from a tile to every tile it can get to in fewer than maxMoves - the player's step
+    // graph walked forward, so portals, ice and conveyors take the player where they would in play
+    // Returns a Map: tile -> moves
+    getPlayerReach(fromIndex, maxMoves) {
+        const { landings } = this.getStepGraph('player');
+        const moves = new Map([[fromIndex, 0]]);
+        const queue = [fromIndex];
+        for (let i = 0; i < queue.length; i++) {
+            const current = queue[i];
+            const next = moves.get(current) + 1;
+            if (next >= maxMoves) continue;
+            for (let k = 0; k < MAX_NEIGHBORS; k++) {
+                const landing = landings[current * MAX_NEIGHBORS + k];
+                if (landing !== -1 && !moves.has(landing)) {
+                    moves.set(landing, next);
+                    queue.push(landing);
+                }
+            }
+        }
+        return moves;
+    }
+
+    // Place portals, player, enemies, gems, the power orb and the other power-ups
+    placeActors(level) {
+        const state = this.state;
+        const numTiles = state.tiles.length;
+
+        // Portal pairs: the first links the tiles a sixth of the way into the planet's tiles and a sixth
+        // from the end, the others points on opposite sides of the planet, spiralling round like spawns
+        state.portalPairs = getPortalPairsForLevel(level);
+        state.portalTiles = [];
+        state.portalPairs.forEach((_, pair) => {
+            let ends = [Math.floor(numTiles / 6), Math.floor(numTiles * 5 / 6)];
+            if (pair > 0) {
+                const height = 1 - (pair + 0.5) / state.portalPairs.length;
+                const ring = Math.sqrt(1 - height * height);
+                const direction = { x: Math.cos(pair * GOLDEN_ANGLE) * ring, y: height, z: Math.sin(pair * GOLDEN_ANGLE) * ring };
+                const opposite = { x: -direction.x, y: -direction.y, z: -direction.z };
+                ends = [getNearestTile(state.tiles, direction), getNearestTile(state.tiles, opposite)];
+            }
+            ends.forEach(end => state.portalTiles.push(this.findValidTile(end, new Set(state.portalTiles))));
+        });
+
+        // Player start (must be a hexagon, not a pentagon)
+        state.playerTile = this.findValidTile(0, new Set(state.portalTiles), true);
+
+        // Level 1: 1 enemy, Level 2+: 3 or more, depending on the planet's size
+        const enemyTypes = getEnemyTypesForLevel(level);
+        const usedTiles = new Set([state.playerTile, ...state.portalTiles, ...state.blockedTiles]);
+        state.enemyTiles = this.getSpawnTiles(enemyTypes.length, usedTiles);
+        this.setEnemyTypes(enemyTypes);
+        state.enemySpawns = state.enemyTiles.slice();
+        state.enemyGhosts = state.enemyTiles.map(() => null);
+        state.enemyDelays = state.enemyTiles.map(() => 0);
+
+        // Place gems (on plain ground only)
+        while (state.gemTiles.length < state.totalGems) {
+            const randomTile = Math.floor(this.rng() * numTiles);
+            // Don't place gems on used tiles, hazards or movement terrain
+            if (!usedTiles.has(randomTile) && this.getTileType(randomTile) === 'ground') {
+                state.gemTiles.push(randomTile);
+                usedTiles.add(randomTile);
+            }
+        }
+
+        // Place power orb on level 3+ (gives player 2x speed for 10 enemy turns) - on plain ground, like gems
+        if (level >= 3) {
+            let attempts = 0;
+            while (state.orbTile === null && attempts < 100) {
+                const randomTile = Math.floor(this.rng() * numTiles);
+                if (!usedTiles.has(randomTile) && this.getTileType(randomTile) === 'ground') {
+                    state.orbTile = randomTile;
+                    usedTiles.add(randomTile);
+                }
+                attempts++;
+            }
+        }
+
+        // Place power-ups (on plain ground only, like gems)
+        for (const type of getPowerUpsForLevel(level)) {
+            for (let attempts = 0; attempts < 100; attempts++) {
+                const randomTile = Math.floor(this.rng() * numTiles);
+                if (!usedTiles.has(randomTile) && this.getTileType(randomTile) === 'ground') {
+                    state.powerUps.push({ type, tile: randomTile });
+                    usedTiles.add(randomTile);
+                    break;
+                }
+            }
+        }
+    }
+
+    // Plain ground round the pools the tide floods - never under the player, a gem, the orb, another
+    // power-up, a portal or an enemy spawn. Pools join in an order drawn from the level seed, each with its
+    // whole shore, until the shores make up MAX_TIDAL_SHARE of the planet (so a big planet's tide stays a
+    // few hundred tiles). Drawn with a generator of its own so a seed still lays out the same level
+    findTidalTiles() {
+        const state = this.state;
+        const kept = new Set([
+            state.playerTile, state.orbTile, ...state.gemTiles, ...state.powerUps.map(({ tile }) => tile),
+            ...state.portalTiles, ...state.enemySpawns
+        ]);
+        const pools = this.findPools();
+        const rng = createRng((state.seed ^ 0x5bd1e995) >>> 0);
+        for (let i = pools.length - 1; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            [pools[i], pools[j]] = [pools[j], pools[i]];
+        }
+
+        const maxTiles = state.tiles.length * MAX_TIDAL_SHARE;
+        const tidalTiles = new Set();
+        for (const pool of pools) {
+            if (tidalTiles.size >= maxTiles) break;
+            pool.forEach(tile => {
+                for (const neighbor of state.tiles[tile].neighbors) {
+                    if (this.getTileType(neighbor) === 'ground' && !kept.has(neighbor)) tidalTiles.add(neighbor);
+                }
+            });
+        }
+        return tidalTiles;
+    }
+
+    // Connected groups of water tiles, each listed from its lowest tile index
+    findPools() {
+        const state = this.state;
+        const pools = [];
+        const seen = new Set();
+        state.tiles.forEach((_, start) => {
+            if (!state.waterTiles.has(start) || seen.has(start)) return;
+            const pool = [start];
+            seen.add(start);
+            for (let i = 0; i < pool.length; i++) {
+                for (const neighbor of state.tiles[pool[i]].neighbors) {
+                    if (state.waterTiles.has(neighbor) && !seen.has(neighbor)) {
+                        seen.add(neighbor);
+                        pool.push(neighbor);
+                    }
+                }
+            }
+            pools.push(pool);
+        });
+        return pools;
+    }
+
+    // Check if two tiles are adjacent
+    isNeighbor(tileIndex, otherIndex) {
+        return this.state.tiles[tileIndex].neighbors.includes(otherIndex);
+    }
+
+    // Where a portal sends whoever steps onto it: the other end of its pair - or null if the tile is no
+    // portal, the pair is closed, the tile is the exit of a one-way pair or (only possible while
+    // editing) a lone portal still waiting for its partner
+    getPortalDestination(tileIndex) {
+        const state = this.state;
+        const portalIndex = state.portalTiles.indexOf(tileIndex);
+        if (portalIndex === -1) return null;
+        const destination = state.portalTiles[portalIndex ^ 1];
+        const pair = portalIndex >> 1;
+        if (destination === undefined || !this.isPortalOpen(pair)) return null;
+        if (state.portalPairs[pair].oneWay && portalIndex % 2 === 1) return null;
+        return destination;
+    }
+
+    // Whether a portal pair lets anyone through this turn - timed pairs start open and switch every
+    // switchTurns enemy turns
+    isPortalOpen(pair) {
+        const { switchTurns } = this.state.portalPairs[pair];
+        return !switchTurns || Math.floor(this.state.hazardTurn / switchTurns) % 2 === 0;
+    }
+
+    // Whether an actor's moves and paths go through portals - the player's always, enemies' on levels
+    // where they use them
+    usesPortals(actor) {
+        return actor === 'player' || this.state.enemiesUsePortals;
+    }
+
+    // Type of a tile (a key of TILE_RULES) - a tile has at most one type
+    getTileType(tileIndex) {
+        const state = this.state;
+        if (state.blockedTiles.has(tileIndex)) return 'blocked';
+        if (state.waterTiles.has(tileIndex)) return 'water';
+        if (state.lavaTiles.has(tileIndex)) return 'lava';
+        if (state.iceTiles.has(tileIndex)) return 'ice';
+        if (state.mudTiles.has(tileIndex)) return 'mud';
+        if (state.conveyorTiles.has(tileIndex)) return 'conveyor';
+        if (state.crumblingTiles.has(tileIndex)) return 'crumbling';
+        if (state.holeTiles.has(tileIndex)) return 'hole';
+        return 'ground';
+    }
+
+    // What a tile means for an actor ('player' or an enemy type) - see TILE_RULES
+    // Looked up for every tile at once and kept until the terrain changes (see clearPathCache)
+    getTileRule(tileIndex, actor) {
+        let rules = this.tileRules.get(actor);
+        if (!rules) {
+            rules = this.state.tiles.map((_, tile) => this.computeTileRule(tile, actor));
+            this.tileRules.set(actor, rules);
+        }
+        return rules[tileIndex];
+    }
+
+    // A tile's rule for an actor, looked up afresh. A tile about to turn into one the actor's paths
+    // avoid, or one that kills the actor (see hazardWarnings), is avoided already - so paths keep clear
+    // of the water or lava to come, even the lava the player's paths would otherwise cross
+    computeTileRule(tileIndex, actor) {
+        const typeRules = TILE_RULES[this.getTileType(tileIndex)];
+        const rule = typeRules[actor] || typeRules.enemy;
+        const coming = this.state.hazardWarnings.get(tileIndex);
+        if (coming === undefined || rule.avoid) return rule;
+        const comingRules = TILE_RULES[coming];
+        const comingRule = comingRules[actor] || comingRules.enemy;
+        return comingRule.avoid || comingRule.effect ? { ...rule, avoid: true } : rule;
+    }
+
+    // Whether an actor can step onto a tile at all
+    canStepOnto(tileIndex, actor = 'player') {
+        return this.getTileRule(tileIndex, actor).enter;
+    }
+
+    // Whether an actor's paths may step onto a tile - tiles it can't enter only as the goal, tiles it
+    // avoids never
+    canEnter(tileIndex, goalIndex, actor) {
+        const rule = this.getTileRule(tileIndex, actor);
+        return (rule.enter || tileIndex === goalIndex) && !rule.avoid;
+    }
+
+    // Where a step onto a neighbor leaves an actor once the tile has moved it on (see TILE_RULES carry):
+    // ice slides it one more tile the same way, a conveyor pushes it one hop along the belt - unless
+    // it can't step onto that tile, when it stays where it stepped
+    getLanding(fromIndex, tileIndex, actor) {
+        const carry = this.getTileRule(tileIndex, actor).carry;
+        let next = null;
+        if (carry === 'slide') {
+            next = getTileAhead(this.state.tiles, fromIndex, tileIndex);
+        } else if (carry === 'conveyor') {
+            next = this.state.conveyorTiles.get(tileIndex) ?? null;
+        }
+        return next !== null && this.canStepOnto(next, actor) ? next : tileIndex;
+    }
+
+    // A step as an actor's paths see it: the tile it leaves the actor on (-1 if the paths don't take
+    // it) - the step takes that tile's cost in enemy turns. Stepping onto the goal reaches it, wherever
+    // the tile would carry the actor on to; an actor that lands on an open portal comes out at the other
+    // end (enemies only on levels where they use portals)
+    getPathStep(fromIndex, tileIndex, goalIndex, actor) {
+        if (tileIndex === goalIndex) {
+            return this.getTileRule(goalIndex, actor).avoid ? -1 : goalIndex;
+        }
+        if (!this.canEnter(tileIndex, goalIndex, actor)) return -1;
+
+        const tile = this.getLanding(fromIndex, tileIndex, actor);
+        if (tile !== tileIndex && !this.canEnter(tile, goalIndex, actor)) return -1;
+        if (this.usesPortals(actor)) {
+            return this.getPortalDestination(tile) ?? tile;
+        }
+        return tile;
+    }
+
+    // Every step an actor's paths can take - built once per path profile and reused until the terrain
+    // changes. landings holds where each step leaves the actor (see findSteps); indexSteps groups them
+    // by that tile for the distance fields' pass outward from the goal
+    getStepGraph(actor) {
+        const profile = getPathProfile(actor);
+        let graph = this.stepGraphs.get(profile);
+        if (graph) return graph;
+
+        const tiles = this.state.tiles;
+        graph = { actor, landings: new Int32Array(tiles.length * MAX_NEIGHBORS) };
+        for (let from = 0; from < tiles.length; from++) {
+            this.findSteps(graph, from);
+        }
+        this.indexSteps(graph);
+        this.stepGraphs.set(profile, graph);
+        return graph;
+    }
+
+    // Where each step from a tile leaves the graph's actor: landings[from * MAX_NEIGHBORS + k] for its
+    // k-th neighbor (-1 if the actor's paths don't take the step, or the tile has fewer neighbors)
+    findSteps(graph, fromIndex) {
+        const neighbors = this.state.tiles[fromIndex].neighbors;
+        for (let k = 0; k < MAX_NEIGHBORS; k++) {
+            graph.landings[fromIndex * MAX_NEIGHBORS + k] = k < neighbors.length
+                ? this.getPathStep(fromIndex, neighbors[k], -1, graph.actor)
+                : -1;
+        }
+    }
+
+    // Group the steps by the tile they leave the actor on: the steps landing on tile t come from
+    // sources[i] and cost costs[i] for i from offsets[t] up to offsets[t + 1]
+    indexSteps(graph) {
+        const { landings, actor } = graph;
+        const tileCount = this.state.tiles.length;
+        const offsets = new Int32Array(tileCount + 1);
+        for (const landing of landings) {
+            if (landing !== -1) offsets[landing + 1]++;
+        }
+        for (let t = 0; t < tileCount; t++) offsets[t + 1] += offsets[t];
+
+        const sources = new Int32Array(offsets[tileCount]);
+        const costs = new Int32Array(offsets[tileCount]);
+        const filled = offsets.slice(0, tileCount);
+        landings.forEach((landing, step) => {
+            if (landing === -1) return;
+            const slot = filled[landing]++;
+            sources[slot] = Math.floor(step / MAX_NEIGHBORS);
+            costs[slot] = this.getTileRule(landing, actor).cost;
+        });
+        Object.assign(graph, { offsets, sources, costs });
+    }
+
+    // Forget every cached tile rule and path - the terrain changed (a new level, or a new layout)
+    clearPathCache() {
+        this.distanceFields.clear();
+        this.stepGraphs.clear();
+        this.tileRules.clear();
+    }
+
+    // Enemy turns from every tile to the goal along the actor's paths, in one pass outward from the goal
+    // field[t] is what following findPath(t, goal, actor) costs (-1 = no path), so a single field
+    // answers "how far, and which way" for every actor of the same profile heading to the same tile.
+    // Most steps cost one turn and the rest a few more (mud), so the pass keeps a bucket of tiles per
+    // distance and works through them in order - a breadth-first search where every step costs one
+    // starts lets the pass run from several tiles at once, each with a head start: [tile, distance] pairs
+    // (goalIndex -1 then - there is no single goal to step onto)
+    computeDistanceField(goalIndex, actor, starts = [[goalIndex, 0]]) {
+        const tiles = this.state.tiles;
+        const { offsets, sources, costs } = this.getStepGraph(actor);
+        const field = new Int32Array(tiles.length).fill(-1);
+        const best = new Int32Array(tiles.length).fill(-1);
+        const buckets = [];
+
+        const reach = (tileIndex, distance) => {
+            if (best[tileIndex] !== -1 && best[tileIndex] <= distance) return;
+            best[tileIndex] = distance;
+            (buckets[distance] ||= []).push(tileIndex);
+        };
+
+        starts.forEach(([tileIndex, distance]) => reach(tileIndex, distance));
+
+        for (let distance = 0; distance < buckets.length; distance++) {
+            const bucket = buckets[distance];
+            if (!bucket) continue;
+            for (const current of bucket) {
+                if (field[current] !== -1 || best[current] !== distance) continue;
+                field[current] = distance;
+
+                // Stepping onto the goal reaches it, even where the step graph would carry the actor on
+                if (current === goalIndex) {
+                    for (const neighbor of tiles[current].neighbors) {
+                        if (this.getPathStep(neighbor, goalIndex, goalIndex, actor) !== -1) {
+                            reach(neighbor, this.getTileRule(goalIndex, actor).cost);
+                        }
+                    }
+                }
+                for (let k = offsets[current]; k < offsets[current + 1]; k++) {
+                    reach(sources[k], distance + costs[k]);
+                }
+            }
+        }
+
+        return field;
+    }
+
+    // Distance field to a tile, computed once and reused until the level changes
+    // The player's field is shared by every enemy and the HUD each turn; gem fields last the whole level
+    getDistanceField(goalIndex, actor = 'player') {
+        const key = getPathProfile(actor) * this.state.tiles.length + goalIndex;
+        let field = this.distanceFields.get(key);
+        if (field) {
+            // Move to the back of the Map's insertion order (most recently used)
+            this.distanceFields.delete(key);
+        } else {
+            if (this.distanceFields.size >= MAX_CACHED_FIELDS) {
+                this.distanceFields.delete(this.distanceFields.keys().next().value);
+            }
+            field = this.computeDistanceField(goalIndex, actor);
+        }
+        this.distanceFields.set(key, field);
+        return field;
+    }
+
+    // Enemy turns from a tile to the goal (null if there is no path) - hops, unless the way is muddy
+    getDistance(fromIndex, goalIndex, actor = 'player') {
+        const distance = this.getDistanceField(goalIndex, actor)[fromIndex];
+        return distance === -1 ? null : distance;
+    }
+
+    // First step of a shortest path from a tile to the goal (null if there is none or already there)
+    // Ties go to the first neighbor in graph order - the same step the old per-query BFS took
+    getStepToward(fromIndex, goalIndex, actor = 'player') {
+        const field = this.getDistanceField(goalIndex, actor);
+        const distance = field[fromIndex];
+        if (distance <= 0) return null;
+
+        for (const neighbor of this.state.tiles[fromIndex].neighbors) {
+            const landing = this.getPathStep(fromIndex, neighbor, goalIndex, actor);
+            if (landing !== -1 && field[landing] === distance - this.getTileRule(landing, actor).cost) {
+                return neighbor;
+            }
+        }
+        return null;
+    }
+
+    // Shortest path for an actor from start to goal, around the tiles its rules avoid (see TILE_RULES) -
+    // by default the player's, which go round water
+    // The path lists the tiles to step onto in order; ice and conveyors carry the actor on and open
+    // portals send it to their other end, so after one of them the next entry is a neighbor of where the
+    // step left it rather than of the tile itself
+    // Walks the goal's distance field, so repeated paths to the same tile cost no extra search
+    findPath(startIndex, goalIndex, actor = 'player') {
+        if (startIndex === goalIndex) return [startIndex];
+        if (this.getDistance(startIndex, goalIndex, actor) === null) return null; // No path found
+
+        const path = [startIndex];
+        let current = startIndex;
+        while (current !== goalIndex) {
+            const next = this.getStepToward(current, goalIndex, actor);
+            path.push(next);
+            current = this.getPathStep(current, next, goalIndex, actor);
+        }
+        return path;
+    }
+
+    // Find the nearest gem and the best neighbor to move toward it
+    // Returns { gemTile, neighborTile } or null if no gems
+    findNearestGemInfo(currentTileIndex) {
+        const state = this.state;
+        if (state.gemTiles.length === 0 || !state.tiles[currentTileIndex]) return null;
+
+        let nearestGem = null;
+        let bestNeighbor = null;
+        let shortestPath = Infinity;
+
+        // For each gem, read its distance field and track which one is closest
+        for (const gemTile of state.gemTiles) {
+            const distance = this.getDistance(currentTileIndex, gemTile);
+            if (distance !== null && distance > 0 && distance < shortestPath) {
+                shortestPath = distance;
+                nearestGem = gemTile;
+                bestNeighbor = this.getStepToward(currentTileIndex, gemTile); // First step toward this gem
+            }
+        }
+
+        if (nearestGem === null) return null;
+        return { gemTile: nearestGem, neighborTile: bestNeighbor };
+    }
+
+    // Get closest enemy distance in hops (null if no enemy can reach the player)
+    getClosestEnemyDistance() {
+        const state = this.state;
+        let closestDistance = Infinity;
+
+        state.enemyTiles.forEach((enemyTile, i) => {
+            // Skip inactive enemies
+            if (enemyTile < 0) return;
+            // Each enemy's own paths (enemies can walk on water)
+            const distance = this.getDistance(enemyTile, state.playerTile, state.enemyTypes[i]);
+            if (distance !== null && distance < closestDistance) {
+                closestDistance = distance;
+            }
+        });
+
+        return closestDistance === Infinity ? null : closestDistance;
+    }
+
+    // Whether the player may step onto a tile right now
+    canPlayerMoveTo(targetIndex) {
+        const state = this.state;
+        return !state.gameOver &&
+            this.canStepOnto(targetIndex) &&
+            this.isNeighbor(state.playerTile, targetIndex);
+    }
+
+    // Tiles the player could blink to from a tile: two hops away, whatever lies between
+    getBlinkTargets(fromIndex = this.state.playerTile) {
+        const tiles = this.state.tiles;
+        const near = new Set([fromIndex, ...tiles[fromIndex].neighbors]);
+        const targets = new Set();
+        for (const neighbor of tiles[fromIndex].neighbors) {
+            for (const tile of tiles[neighbor].neighbors) {
+                if (!near.has(tile) && this.canStepOnto(tile)) targets.add(tile);
+            }
+        }
+        return Array.from(targets);
+    }
+
+    // Whether the player holds a blink and may jump to a tile with it right now
+    canPlayerBlinkTo(targetIndex) {
+        const state = this.state;
+        return !state.gameOver && state.powers.blink > 0 && this.getBlinkTargets().includes(targetIndex);
+    }
+
+    // Use up a blink to jump to a tile two hops away - a turn like any other move (see movePlayer)
+    blinkPlayer(targetIndex, source = 'click') {
+        if (!this.canPlayerBlinkTo(targetIndex)) return;
+        this.state.powers.blink--;
+        this.movePlayer(targetIndex, source, true);
+    }
+
+    // Execute a single player move to an adjacent tile (or, with blink, the jump of blinkPlayer)
+    // source says where the move came from ('click', 'key', 'auto' for auto-path steps) and is recorded
+    movePlayer(targetIndex, source = 'click', blink = false) {
+        const state = this.state;
+        if (state.gameOver) return;
+
+        // Record the move (blinks, teleports and orb turns are noted on the entry below)
+        const logEntry = { to: targetIndex, source };
+        if (blink) logEntry.blink = true;
+        state.moveLog.push(logEntry);
+
+        // Move player
+        const fromTile = state.playerTile;
+        state.playerTile = targetIndex;
+        state.moveCount++;
+        this.emit('playerMove', { from: fromTile, to: targetIndex, source, blink });
+
+        // A crumbling tile gives way behind the player
+        if (this.getTileRule(fromTile, 'player').crumble) {
+            this.collapseTile(fromTile);
+        }
+
+        // Deadly tiles end the level (water drowns, lava burns - see TILE_RULES)
+        const tileEffect = this.getTileRule(targetIndex, 'player').effect;
+        if (tileEffect) {
+            this.endLevel(false, tileEffect);
+            return;
+        }
+
+        this.collectItemsAt(targetIndex);
+
+        // Ice and conveyors carry the player on a tile - which can be a deadly one
+        const landing = this.getLanding(fromTile, targetIndex, 'player');
+        if (landing !== targetIndex) {
+            state.playerTile = landing;
+            logEntry.carry = landing;
+            this.emit('playerCarry', { from: targetIndex, to: landing, carry: this.getTileRule(targetIndex, 'player').carry });
+            const landingEffect = this.getTileRule(landing, 'player').effect;
+            if (landingEffect) {
+                this.endLevel(false, landingEffect);
+                return;
+            }
+            this.collectItemsAt(landing);
+        }
+
+        // Check if player stepped (or was carried) onto a portal
+        const portalTile = state.playerTile;
+        const portalDestination = this.getPortalDestination(portalTile);
+        if (portalDestination !== null) {
+            // Teleport to the other portal
+            state.playerTile = portalDestination;
+            logEntry.teleport = portalDestination;
+            this.emit('teleport', { from: portalTile, to: portalDestination });
+            // Check for gem and orb at portal destination too
+            this.collectItemsAt(portalDestination);
+        }
+
+        // Check if player collected all gems
+        if (state.gemsCollected >= state.totalGems) {
+            this.endLevel(true);
+            return;
+        }
+
+        // A muddy step gives the enemies its extra turns first
+        const extraTurns = this.getTileRule(state.playerTile, 'player').cost - 1;
+        for (let turn = 0; turn < extraTurns; turn++) {
+            if (state.orbActive) this.catchEnemiesNearPlayer();
+            this.takeEnemyTurn();
+            if (state.gameOver) return;
+        }
+
+        // If orb power is active, player gets 2 moves per enemy move
+        if (state.orbActive) {
+            this.catchEnemiesNearPlayer();
+            state.orbPlayerMovesLeft--;
+
+            // Only move enemies when player has used both moves
+            if (state.orbPlayerMovesLeft > 0) {
+                logEntry.orbTurn = true; // Free move - enemies stay put
+            } else {
+                state.orbPlayerMovesLeft = ORB_MOVES_PER_TURN; // Reset for next round
+                this.takeEnemyTurn();
+            }
+        } else {
+            // Normal mode - enemies move every player move
+            this.takeEnemyTurn();
+        }
+        // The tide or a lava flow can end the level at the end of an enemy turn
+        if (state.gameOver) return;
+
+        // Check if any enemy caught player (not while the orb is active or the enemies are frozen) - a
+        // shield takes one catch
+        if (!state.orbActive && state.powers.freeze === 0 && this.enemyCaughtPlayer()) {
+            if (state.powers.shield === 0) {
+                this.endLevel(false, 'caught');
+                return;
+            }
+            this.useShield();
+        }
+
+        this.scoreEscape();
+        this.emit('turnEnd', { playerTile: state.playerTile });
+    }
+
+    // One enemy turn: the enemies move (unless frozen), a running orb and the timed power-ups count it
+    // off and the hazards move on
+    takeEnemyTurn() {
+        const state = this.state;
+        if (state.powers.freeze === 0) {
+            this.moveEnemies();
+        } else {
+            // Frozen enemies stay put, but the ghosts of caught ones keep counting down
+            this.returnEnemyGhosts(new Set(state.enemyTiles.filter(tile => tile >= 0)));
+        }
+        if (state.orbActive) {
+            state.orbMovesRemaining--;
+            if (state.orbMovesRemaining <= 0) {
+                state.orbActive = false;
+                state.orbPlayerMovesLeft = 0;
+                // Enemies return to normal appearance and behavior
+                this.emit('orbExpired');
+            }
+        }
+        this.countDownPowers();
+        state.hazardTurn++;
+        this.advanceHazards();
+        this.switchPortals();
+    }
+
+    // Count an enemy turn off the changing hazards: the tiles warned of last turn change - drowning or
+    // burning whoever stands there - and the changes due at the end of the next turn are announced
+    advanceHazards() {
+        const state = this.state;
+        if (state.hazardWarnings.size === 0 && !state.tide && !state.lavaFlow) return;
+
+        const changes = state.hazardWarnings;
+        changes.forEach((type, tile) => {
+            state.waterTiles.delete(tile);
+            if (type === 'water') state.waterTiles.add(tile);
+            if (type === 'lava') state.lavaTiles.add(tile);
+        });
+        state.hazardWarnings = this.getComingHazards();
+        this.refreshTiles([...changes.keys(), ...state.hazardWarnings.keys()]);
+
+        if (changes.size > 0) {
+            this.emit('hazardChange', { tiles: Array.from(changes) });
+        }
+        if (state.hazardWarnings.size > 0) {
+            this.emit('hazardWarning', { tiles: Array.from(state.hazardWarnings) });
+        }
+
+        // Caught by the change - enemies only die in lava, where their ghosts go home
+        state.enemyTiles.forEach((tile, i) => {
+            if (tile < 0 || !changes.has(tile)) return;
+            const effect = this.getTileRule(tile, state.enemyTypes[i]).effect;
+            if (effect) {
+                this.sendEnemyHome(i);
+                this.emit('enemyKilled', { enemy: i, tile, reason: effect });
+            }
+        });
+        const playerEffect = this.getTileRule(state.playerTile, 'player').effect;
+        if (changes.has(state.playerTile) && playerEffect) {
+            this.endLevel(false, playerEffect);
+        }
+    }
+
+    // Count an enemy turn off the timed power-ups - a decoy an enemy has got on or next to is gone at once
+    countDownPowers() {
+        const state = this.state;
+        const decoy = state.decoyTile;
+        if (decoy !== null && state.enemyTiles.some(tile => tile >= 0 && (tile === decoy || this.isNeighbor(tile, decoy)))) {
+            state.powers.decoy = 0;
+            state.decoyTile = null;
+            this.emit('powerExpired', { type: 'decoy', caught: true });
+        }
+        POWER_UP_TYPES.forEach(type => {
+            if (!POWER_UPS[type].timed || state.powers[type] === 0) return;
+            state.powers[type]--;
+            if (state.powers[type] > 0) return;
+            if (type === 'decoy') state.decoyTile = null;
+            this.emit('powerExpired', { type, caught: false });
+        });
+    }
+
+    // Open or close the timed portal pairs whose time is up
+    switchPortals() {
+        const state = this.state;
+        state.portalPairs.forEach(({ switchTurns }, pair) => {
+            if (!switchTurns || state.hazardTurn % switchTurns !== 0) return;
+            this.refreshTiles(state.portalTiles.slice(pair * 2, pair * 2 + 2), true);
+            this.emit('portalSwitch', { pair, open: this.isPortalOpen(pair) });
+        });
+    }
+
+    // Tiles that change at the end of the next enemy turn: the whole shore when the tide turns, and
+    // where each lava cluster flows (see TIDE_TURNS)
+    getComingHazards() {
+        const state = this.state;
+        const coming = new Map();
+        const turn = state.hazardTurn + 1;
+        if (state.tide && turn % TIDE_TURNS === 0) {
+            const rising = (turn / TIDE_TURNS) % 2 === 1;
+            state.tidalTiles.forEach(tile => coming.set(tile, rising ? 'water' : 'ground'));
+        }
+        if (state.lavaFlow && turn % LAVA_FLOW_TURNS === 0) {
+            this.findLavaFlows(turn).forEach(tile => coming.set(tile, 'lava'));
+        }
+        return coming;
+    }
+
+    // Tile each lava cluster smaller than LAVA_MAX_CLUSTER flows onto: a plain ground neighbor, never
+    // a gem, a power-up, a portal, an enemy spawn or the shore. Picked with a generator seeded from the
+    // level seed and the turn, so replays and restored saves see the same flows
+    findLavaFlows(turn) {
+        const state = this.state;
+        const rng = createRng((state.seed ^ Math.imul(turn, 0x9e3779b9)) >>> 0);
+        const kept = new Set([
+            state.orbTile, ...state.gemTiles, ...state.powerUps.map(({ tile }) => tile),
+            ...state.portalTiles, ...state.enemySpawns, ...state.tidalTiles
+        ]);
+        const seen = new Set();
+        const flows = [];
+
+        // Clusters in order of their lowest tile, so the picks don't depend on the order lava was added
+        Array.from(state.lavaTiles).sort((a, b) => a - b).forEach(start => {
+            if (seen.has(start)) return;
+            seen.add(start);
+            const cluster = [start];
+            const edge = [];
+            for (let i = 0; i < cluster.length; i++) {
+                for (const neighbor of state.tiles[cluster[i]].neighbors) {
+                    if (state.lavaTiles.has(neighbor)) {
+                        if (!seen.has(neighbor)) {
+                            seen.add(neighbor);
+                            cluster.push(neighbor);
+                        }
+                    } else if (this.getTileType(neighbor) === 'ground' && !kept.has(neighbor) && !edge.includes(neighbor)) {
+                        edge.push(neighbor);
+                    }
+                }
+            }
+            if (cluster.length < LAVA_MAX_CLUSTER && edge.length > 0) {
+                flows.push(edge[Math.floor(rng() * edge.length)]);
+            }
+        });
+        return flows;
+    }
+
+    // Turn a crumbling tile into a hole
+    collapseTile(tileIndex) {
+        const state = this.state;
+        state.crumblingTiles.delete(tileIndex);
+        state.holeTiles.add(tileIndex);
+        this.refreshTiles([tileIndex]);
+
+        this.emit('tileCollapse', { tile: tileIndex });
+    }
+
+    // Bring the cached rules and paths up to date after tiles changed type or were warned of a change
+    // Only steps near a tile whose rule changed for an actor's paths are redone - steps onto it, and
+    // steps sliding or pushed onto it from one tile further - so the step graphs are patched instead of
+    // rebuilt; distance fields start over. rerouted: the steps onto the tiles changed whatever their
+    // rules say (a portal opened or closed)
+    refreshTiles(changedTiles, rerouted = false) {
+        if (changedTiles.length === 0) return;
+        const tiles = this.state.tiles;
+
+        this.distanceFields.clear();
+        const movedTiles = new Map(); // Actor -> tiles its paths now treat differently
+        this.tileRules.forEach((rules, actor) => {
+            const moved = [];
+            changedTiles.forEach(tile => {
+                const rule = this.computeTileRule(tile, actor);
+                const old = rules[tile];
+                if (rule.enter !== old.enter || rule.avoid !== old.avoid || rule.cost !== old.cost || rule.carry !== old.carry) {
+                    moved.push(tile);
+                }
+                rules[tile] = rule;
+            });
+            movedTiles.set(actor, moved);
+        });
+
+        this.stepGraphs.forEach(graph => {
+            const moved = rerouted ? changedTiles : movedTiles.get(graph.actor) || [];
+            if (moved.length === 0) return;
+            const nearby = new Set(moved);
+            for (const tile of moved) {
+                for (const neighbor of tiles[tile].neighbors) {
+                    nearby.add(neighbor);
+                    if (this.getTileRule(neighbor, graph.actor).carry) {
+                        tiles[neighbor].neighbors.forEach(next => nearby.add(next));
+                    }
+                }
+            }
+            nearby.forEach(tile => this.findSteps(graph, tile));
+            this.indexSteps(graph);
+        });
+    }
+
+    // Collect gem, power orb and other power-ups at tile if present
+    collectItemsAt(tileIndex) {
+        const state = this.state;
+
+        const gemIndex = state.gemTiles.indexOf(tileIndex);
+        if (gemIndex !== -1) {
+            // Remove gem from game
+            state.gemTiles.splice(gemIndex, 1);
+            state.gemsCollected++;
+            this.emit('gemCollected', { tile: tileIndex, gemIndex });
+
+            // Gems collected close together make a combo
+            const inCombo = state.lastGemMove !== null && state.moveCount - state.lastGemMove <= SCORING.comboMoves;
+            state.combo = inCombo ? state.combo + 1 : 1;
+            state.lastGemMove = state.moveCount;
+            this.addScore('gem', SCORING.gem);
+            if (state.combo > 1) this.addScore('combo', SCORING.combo * (state.combo - 1));
+        }
+
+        if (state.orbTile !== null && tileIndex === state.orbTile) {
+            // Activate orb power - player gets 2 moves per enemy move for 10 enemy turns
+            state.orbActive = true;
+            state.orbMovesRemaining = state.orbDuration;
+            state.orbPlayerMovesLeft = ORB_MOVES_PER_TURN; // Start with 2 moves before enemies move
+            state.orbTile = null;
+            state.orbCatches = 0;
+            // Enemies look vulnerable and flee
+            this.emit('orbCollected', { tile: tileIndex });
+        }
+
+        const powerUpIndex = state.powerUps.findIndex(({ tile }) => tile === tileIndex);
+        if (powerUpIndex !== -1) {
+            const { type } = state.powerUps.splice(powerUpIndex, 1)[0];
+            state.powers[type] += POWER_UPS[type].amount;
+            // The decoy stays behind where it was found
+            if (type === 'decoy') state.decoyTile = tileIndex;
+            this.emit('powerUpCollected', { tile: tileIndex, type, powerUpIndex });
+        }
+    }
+
+    // Give each enemy its personality (missing types are chasers) and lay out the patrollers' loops
+    // In stealth every enemy gets a loop to walk until it spots the player, and starts out unaware
+    setEnemyTypes(types) {
+        const state = this.state;
+        state.enemyTypes = state.enemyTiles.map((_, i) => types[i] || 'chaser');
+        state.enemyPatrols = state.enemyTiles.map((tile, i) =>
+            (state.enemyTypes[i] === 'patroller' || state.stealth) && tile >= 0
+                ? { route: this.createPatrolRoute(tile, state.enemyTypes[i]), waypoint: 0 }
+                : null
+        );
+        state.enemyAwareness = state.enemyTiles.map(() => ({
+            mode: state.stealth ? 'unaware' : 'alert',
+            lastSeenTile: null
+        }));
+    }
+
+    // Patrol loop around a tile: waypoints PATROL_RADIUS hops out, in order around it, on tiles
+    // the walking enemy paths through. Built without the random generator so a seed still lays
+    // out the same level
+    createPatrolRoute(centerTile, actor) {
+        const state = this.state;
+        const field = this.computeDistanceField(centerTile, actor);
+        const ring = [];
+        for (let i = 0; i < field.length; i++) {
+            if (field[i] === PATROL_RADIUS && this.canEnter(i, -1, actor)) ring.push(i);
+        }
+        if (ring.length === 0) return [centerTile];
+
+        // Sort the ring by angle around the center tile's up direction
+        const center = state.tiles[centerTile].center;
+        const axisX = subtract(state.tiles[ring[0]].center, center);
+        const axisY = cross(center, axisX);
+        const angle = tile => {
+            const offset = subtract(state.tiles[tile].center, center);
+            return Math.atan2(dot(offset, axisY), dot(offset, axisX));
+        };
+        ring.sort((a, b) => angle(a) - angle(b));
+
+        const route = [];
+        for (let k = 0; k < PATROL_WAYPOINTS; k++) {
+            const waypoint = ring[Math.floor(k * ring.length / PATROL_WAYPOINTS)];
+            if (!route.includes(waypoint)) route.push(waypoint);
+        }
+        return route;
+    }
+
+    // Move all enemies - towards their targets normally, away from the player when orb is active
+    moveEnemies() {
+        const state = this.state;
+        // Track which tiles will be occupied after moves (only active enemies)
+        const occupiedTiles = new Set(state.enemyTiles.filter(t => t >= 0));
+        this.updateEnemyAwareness();
+        const targets = state.orbActive ? null : this.getEnemyTargets();
+
+        for (let i = 0; i < state.enemyTiles.length; i++) {
+            const currentTile = state.enemyTiles[i];
+
+            // Skip inactive enemies
+            if (currentTile < 0) continue;
+
+            // Stuck in mud - sits this turn out
+            if (state.enemyDelays[i] > 0) {
+                state.enemyDelays[i]--;
+                continue;
+            }
+
+            // Remove current position from occupied (we're moving from it)
+            occupiedTiles.delete(currentTile);
+
+            const type = state.enemyTypes[i];
+            let nextTile = state.orbActive
+                ? this.chooseFleeStep(currentTile, occupiedTiles, type)
+                : this.chooseChaseStep(currentTile, occupiedTiles, targets[i], type);
+
+            // Ice and conveyors carry the enemy on if the tile there is free, and a portal carries it to
+            // the other end - unless another enemy stands there
+            let landing = nextTile === null ? null : this.getLanding(currentTile, nextTile, type);
+            if (landing !== null && occupiedTiles.has(landing)) {
+                landing = nextTile;
+            }
+            const destination = landing !== null && state.enemiesUsePortals ? this.getPortalDestination(landing) : null;
+            if (destination !== null && occupiedTiles.has(destination)) {
+                nextTile = null;
+            }
+
+            if (nextTile !== null) {
+                const tile = destination ?? landing;
+                state.enemyTiles[i] = tile;
+                this.emit('enemyMove', { enemy: i, from: currentTile, to: nextTile });
+                if (landing !== nextTile) {
+                    this.emit('enemyCarry', { enemy: i, from: nextTile, to: landing, carry: this.getTileRule(nextTile, type).carry });
+                }
+                if (destination !== null) {
+                    this.emit('enemyTeleport', { enemy: i, from: landing, to: destination });
+                }
+                // A deadly tile (lava) sends the enemy home as a ghost, just like being caught
+                const rule = this.getTileRule(tile, type);
+                if (rule.effect) {
+                    this.sendEnemyHome(i);
+                    this.emit('enemyKilled', { enemy: i, tile, reason: rule.effect });
+                } else {
+                    occupiedTiles.add(tile);
+                    // Mud holds it for the extra turns the step took
+                    state.enemyDelays[i] = rule.cost - 1;
+                }
+            } else {
+                // Can't move, stay in place
+                occupiedTiles.add(currentTile);
+                // A search that can't get any closer is given up
+                if (state.stealth && state.enemyAwareness[i].mode === 'searching') {
+                    this.setEnemyAwareness(i, 'unaware');
+                }
+            }
+        }
+
+        this.returnEnemyGhosts(occupiedTiles);
+
+        // Look again from the new tiles, so the markers show who can see the player now
+        this.updateEnemyAwareness();
+    }
+
+    // Count the ghosts of caught enemies down by one enemy turn, and bring back those whose time is
+    // up at their spawn - unless another enemy stands there or the player is on or next to it
+    returnEnemyGhosts(occupiedTiles) {
+        const state = this.state;
+        state.enemyGhosts.forEach((ghost, i) => {
+            if (!ghost) return;
+            if (ghost.turnsLeft > 0) ghost.turnsLeft--;
+            if (ghost.turnsLeft > 0 || occupiedTiles.has(ghost.tile) ||
+                ghost.tile === state.playerTile || this.isNeighbor(ghost.tile, state.playerTile)) return;
+
+            state.enemyTiles[i] = ghost.tile;
+            state.enemyGhosts[i] = null;
+            occupiedTiles.add(ghost.tile);
+            if (state.stealth) {
+                state.enemyAwareness[i].lastSeenTile = null;
+                this.setEnemyAwareness(i, 'unaware');
+            }
+            this.emit('enemyRespawn', { enemy: i, tile: ghost.tile });
+        });
+    }
+
+    // Stealth: spotting the player alerts an enemy; losing sight of them sends it searching, and a
+    // search ends at the tile they were last seen on
+    updateEnemyAwareness() {
+        const state = this.state;
+        if (!state.stealth) return;
+
+        state.enemyTiles.forEach((tile, i) => {
+            if (tile < 0) return;
+            const awareness = state.enemyAwareness[i];
+            if (this.canSeePlayer(tile)) {
+                awareness.lastSeenTile = state.playerTile;
+                this.setEnemyAwareness(i, 'alert');
+            } else if (awareness.mode === 'alert') {
+                this.setEnemyAwareness(i, 'searching');
+            } else if (awareness.mode === 'searching' && tile === awareness.lastSeenTile) {
+                this.setEnemyAwareness(i, 'unaware');
+            }
+        });
+    }
+
+    setEnemyAwareness(enemy, mode) {
+        const awareness = this.state.enemyAwareness[enemy];
+        if (awareness.mode === mode) return;
+        awareness.mode = mode;
+        this.emit('enemyAwareness', { enemy, mode, lastSeenTile: awareness.lastSeenTile });
+    }
+
+    // Whether an enemy on this tile can see the player: walk toward them, always to the neighbor
+    // nearest to them, for up to VISION_RANGE hops - a tall tile on the way blocks the view
+    canSeePlayer(fromTile) {
+        const state = this.state;
+        const goal = state.tiles[state.playerTile].center;
+        let tile = fromTile;
+        for (let hops = 0; hops <= VISION_RANGE; hops++) {
+            if (tile === state.playerTile) return true;
+            if (state.blockedTiles.has(tile)) return false;
+
+            let nearest = null;
+            let nearestDistance = Infinity;
+            for (const neighbor of state.tiles[tile].neighbors) {
+                const offset = subtract(state.tiles[neighbor].center, goal);
+                const distance = dot(offset, offset);
+                if (distance < nearestDistance) {
+                    nearestDistance = distance;
+                    nearest = neighbor;
+                }
+            }
+            tile = nearest;
+        }
+        return false;
+    }
+
+    // FLEE MODE: the neighbor that maximizes distance from player (null = stay)
+    // A fleeing enemy takes any tile it can step onto - even one that kills it
+    chooseFleeStep(currentTile, occupiedTiles, actor = 'chaser') {
+        const state = this.state;
+        let bestTile = null;
+        let bestDistance = -1;
+
+        for (const neighbor of state.tiles[currentTile].neighbors) {
+            if (!occupiedTiles.has(neighbor) && this.canStepOnto(neighbor, actor)) {
+                const distanceToPlayer = this.getDistance(neighbor, state.playerTile, actor);
+                const distance = distanceToPlayer === null ? Infinity : distanceToPlayer;
+                if (distance > bestDistance) {
+                    bestDistance = distance;
+                    bestTile = neighbor;
+                }
+            }
+        }
+
+        return bestTile;
+    }
+
+    // Tiles the enemies head for this turn (null for inactive ones) - their personalities' targets,
+    // with the enemies closing in on the player working as a pack (see DIFFICULTY_SETTINGS):
+    // the nearest keeps chasing, and each of the others takes a different free tile next to the
+    // player on its own side, so they close in from several directions instead of in single file
+    getEnemyTargets() {
+        const state = this.state;
+        // A decoy draws every enemy, whatever it knows of the player
+        if (state.decoyTile !== null) return state.enemyTiles.map(tile => tile < 0 ? null : state.decoyTile);
+
+        const settings = DIFFICULTY_SETTINGS[state.difficulty];
+        const targets = state.enemyTiles.map((tile, i) => tile < 0 ? null : this.getEnemyTarget(i));
+
+        // The pack: enemies heading straight for the player within range, nearest first
+        const pack = [];
+        targets.forEach((target, i) => {
+            if (target !== state.playerTile) return;
+            const distance = this.getDistance(state.enemyTiles[i], state.playerTile, state.enemyTypes[i]);
+            if (distance !== null && distance <= settings.packRange) pack.push({ enemy: i, distance });
+        });
+        if (pack.length < 2) return targets;
+        pack.sort((a, b) => a.distance - b.distance || a.enemy - b.enemy);
+        const [lead, ...others] = pack;
+
+        // Cut off the portal the player could escape through: an enemy that can beat the player to
+        // its entrance blocks it, or one close to its exit waits there
+        const escape = settings.guardPortals ? this.getPortalEscape() : null;
+        if (escape) {
+            let guard = -1;
+            let guardTile = null;
+            let guardDistance = Infinity;
+            others.forEach((member, k) => {
+                const enemyTile = state.enemyTiles[member.enemy];
+                const type = state.enemyTypes[member.enemy];
+                const toEntrance = this.getDistance(enemyTile, escape.entrance, type);
+                const toExit = this.getDistance(enemyTile, escape.exit, type);
+                if (toEntrance !== null && toEntrance <= escape.distance && toEntrance < guardDistance) {
+                    [guard, guardTile, guardDistance] = [k, escape.entrance, toEntrance];
+                }
+                if (toExit !== null && toExit <= PORTAL_GUARD_DISTANCE && toExit < guardDistance) {
+                    [guard, guardTile, guardDistance] = [k, escape.exit, toExit];
+                }
+            });
+            if (guard !== -1) {
+                targets[others[guard].enemy] = guardTile;
+                others.splice(guard, 1);
+            }
+        }
+
+        // Share out the player's escape routes: the free tiles next to them that they can survive
+        const player = state.tiles[state.playerTile].center;
+        const approaches = state.tiles[state.playerTile].neighbors.filter(tile =>
+            this.canStepOnto(tile) && !this.getTileRule(tile, 'player').effect
+        );
+        const direction = tile => normalize(subtract(state.tiles[tile].center, player));
+        const claimed = [];
+        // Best approach: on the enemy's own side, and away from the ones already taken
+        const claimApproach = enemy => {
+            const side = direction(state.enemyTiles[enemy]);
+            let best = -1;
+            let bestScore = -Infinity;
+            approaches.forEach((tile, k) => {
+                const approach = direction(tile);
+                let score = dot(approach, side);
+                claimed.forEach(taken => { score -= dot(approach, taken); });
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = k;
+                }
+            });
+            if (best === -1) return null;
+            const tile = approaches.splice(best, 1)[0];
+            claimed.push(direction(tile));
+            return tile;
+        };
+
+        claimApproach(lead.enemy); // The lead comes in on its own side
+        for (const member of others) {
+            const approach = claimApproach(member.enemy);
+            if (approach === null) break; // Every way out is covered - the rest just chase
+            targets[member.enemy] = approach;
+        }
+        return targets;
+    }
+
+    // Portal the player is close enough to escape through: { entrance, exit, distance } (null if none)
+    getPortalEscape() {
+        const state = this.state;
+        let escape = null;
+        for (const entrance of state.portalTiles) {
+            const exit = this.getPortalDestination(entrance);
+            const distance = this.getDistance(state.playerTile, entrance);
+            if (exit !== null && distance !== null && distance <= PORTAL_GUARD_DISTANCE &&
+                (!escape || distance < escape.distance)) {
+                escape = { entrance, exit, distance };
+            }
+        }
+        return escape;
+    }
+
+    // Tile an enemy heads for this turn, following its personality
+    getEnemyTarget(enemy) {
+        const state = this.state;
+        const currentTile = state.enemyTiles[enemy];
+
+        // Stealth: only enemies that see the player hunt them
+        const awareness = state.enemyAwareness[enemy];
+        if (state.stealth && awareness.mode === 'searching') return awareness.lastSeenTile;
+        if (state.stealth && awareness.mode === 'unaware') return this.getPatrolTarget(enemy);
+
+        const playerDistance = this.getDistance(currentTile, state.playerTile, state.enemyTypes[enemy]);
+
+        // Close in on the player once near, whatever the personality
+        if (playerDistance !== null && playerDistance <= ENEMY_CLOSE_RANGE) return state.playerTile;
+
+        switch (state.enemyTypes[enemy]) {
+            case 'ambusher':
+                return this.getAmbushTarget(enemy);
+            case 'patroller':
+                // In stealth it left its loop as soon as it spotted the player
+                if (state.stealth || (playerDistance !== null && playerDistance <= PATROL_ALERT_DISTANCE)) return state.playerTile;
+                return this.getPatrolTarget(enemy);
+            case 'flanker':
+                return this.getFlankTarget(enemy);
+            default:
+                return state.playerTile;
+        }
+    }
+
+    // Ambusher: a few hops ahead of the player on their route to the nearest gem, short of any
+    // tile on it the ambusher keeps off
+    getAmbushTarget(enemy) {
+        const state = this.state;
+        const gemInfo = this.findNearestGemInfo(state.playerTile);
+        if (!gemInfo) return state.playerTile;
+
+        let target = state.playerTile;
+        for (let i = 0; i < AMBUSH_LOOKAHEAD; i++) {
+            const next = this.getStepToward(target, gemInfo.gemTile);
+            if (next === null || !this.canEnter(next, -1, state.enemyTypes[enemy])) break;
+            target = next;
+        }
+        // Already lying in wait - go for the player
+        return target === state.enemyTiles[enemy] ? state.playerTile : target;
+    }
+
+    // Patroller: the next waypoint of its loop (moving on once it gets there)
+    getPatrolTarget(enemy) {
+        const state = this.state;
+        const patrol = state.enemyPatrols[enemy];
+        if (!patrol) return state.playerTile;
+
+        if (state.enemyTiles[enemy] === patrol.route[patrol.waypoint]) {
+            patrol.waypoint = (patrol.waypoint + 1) % patrol.route.length;
+        }
+        return patrol.route[patrol.waypoint];
+    }
+
+    // Flanker: beyond the player, on the far side from the enemy closest to them
+    getFlankTarget(enemy) {
+        const state = this.state;
+        let lead = null;
+        let leadDistance = Infinity;
+        state.enemyTiles.forEach((tile, i) => {
+            if (i === enemy || tile < 0) return;
+            const distance = this.getDistance(tile, state.playerTile, state.enemyTypes[i]);
+            if (distance !== null && distance < leadDistance) {
+                leadDistance = distance;
+                lead = tile;
+            }
+        });
+        // Nobody to flank with - chase
+        if (lead === null) return state.playerTile;
+
+        // Walk away from the lead enemy, one neighbor at a time, as straight as the grid allows
+        const away = subtract(state.tiles[state.playerTile].center, state.tiles[lead].center);
+        let target = state.playerTile;
+        for (let i = 0; i < FLANK_DISTANCE; i++) {
+            let best = null;
+            let bestAlignment = 0;
+            for (const neighbor of state.tiles[target].neighbors) {
+                if (!this.canEnter(neighbor, -1, state.enemyTypes[enemy])) continue;
+                const alignment = dot(subtract(state.tiles[neighbor].center, state.tiles[target].center), away);
+                if (alignment > bestAlignment) {
+                    bestAlignment = alignment;
+                    best = neighbor;
+                }
+            }
+            if (best === null) break;
+            target = best;
+        }
+        return target === state.enemyTiles[enemy] ? state.playerTile : target;
+    }
+
+    // CHASE MODE: next tile towards the target - the player unless a personality says otherwise (null = stay)
+    chooseChaseStep(currentTile, occupiedTiles, targetTile = this.state.playerTile, actor = 'chaser') {
+        const state = this.state;
+        const nextTile = this.getStepToward(currentTile, targetTile, actor);
+
+        // Move to the next tile unless another enemy already took it
+        if (nextTile !== null && !occupiedTiles.has(nextTile)) return nextTile;
+
+        // No path or already at destination, stay in place
+        // Otherwise look for another step - there may be none closer: an enemy standing on a portal
+        // it came out of has to step off before it can go back through
+        const distance = this.getDistance(currentTile, targetTile, actor);
+        if (distance === null || distance === 0) return null;
+
+        // Try to find an alternative adjacent tile that gets closer
+        let bestAltTile = null;
+        let bestAltDistance = Infinity;
+
+        for (const neighbor of state.tiles[currentTile].neighbors) {
+            // Skip occupied tiles and ones this enemy won't path through (see TILE_RULES)
+            if (!occupiedTiles.has(neighbor) && neighbor !== state.playerTile && this.canEnter(neighbor, targetTile, actor)) {
+                const altDistance = this.getDistance(neighbor, targetTile, actor);
+                if (altDistance !== null && altDistance < bestAltDistance) {
+                    bestAltDistance = altDistance;
+                    bestAltTile = neighbor;
+                }
+            }
+        }
+
+        return bestAltTile;
+    }
+
+    // Check if any enemy caught player
+    enemyCaughtPlayer() {
+        const state = this.state;
+        for (const enemyTile of state.enemyTiles) {
+            // Skip inactive enemies
+            if (enemyTile < 0) continue;
+            if (state.playerTile === enemyTile || this.isNeighbor(enemyTile, state.playerTile)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Catch enemies near player when orb power is active
+    catchEnemiesNearPlayer() {
+        const state = this.state;
+
+        for (let i = 0; i < state.enemyTiles.length; i++) {
+            const enemyTile = state.enemyTiles[i];
+            // Skip already inactive enemies
+            if (enemyTile < 0) continue;
+
+            // Check if enemy is on player tile or adjacent
+            if (enemyTile === state.playerTile || this.isNeighbor(state.playerTile, enemyTile)) {
+                this.sendEnemyHome(i);
+                state.orbCatches++;
+                this.emit('enemyCaught', { enemy: i, tile: enemyTile });
+                this.addScore('enemy', SCORING.enemy * state.orbCatches);
+            }
+        }
+    }
+
+    // A shield takes the catch: it is used up and the enemies on or next to the player are sent home
+    useShield() {
+        const state = this.state;
+        state.powers.shield--;
+        const enemies = [];
+        state.enemyTiles.forEach((enemyTile, i) => {
+            if (enemyTile >= 0 && (enemyTile === state.playerTile || this.isNeighbor(enemyTile, state.playerTile))) {
+                this.sendEnemyHome(i);
+                enemies.push(i);
+            }
+        });
+        this.emit('shieldUsed', { tile: state.playerTile, enemies });
+    }
+
+    // Take an enemy out of play until its ghost is back at its spawn (see RESPAWN_TURNS)
+    sendEnemyHome(enemy) {
+        const state = this.state;
+        state.enemyTiles[enemy] = -1; // Mark as inactive
+        state.enemyDelays[enemy] = 0;
+        const spawnTile = state.enemySpawns[enemy];
+        state.enemyGhosts[enemy] = spawnTile >= 0 ? { tile: spawnTile, turnsLeft: RESPAWN_TURNS } : null;
+    }
+
+    // Points toward one part of the round score (see SCORING)
+    addScore(part, points) {
+        const state = this.state;
+        state.score += points;
+        state.scoreParts[part] += points;
+        this.emit('scoreAwarded', { part, points, score: state.score });
+    }
+
+    // No points yet this round
+    resetScore() {
+        const state = this.state;
+        state.score = 0;
+        state.scoreParts = createScoreParts();
+        state.combo = 0;
+        state.lastGemMove = null;
+        state.orbCatches = 0;
+        state.closeCall = false;
+    }
+
+    // Moves it takes to collect every gem going from the start to the nearest gem left each time
+    // (not always the shortest route, but close and cheap - the distance fields are reused in play).
+    // Nearest goes by path cost, but par counts the moves along each path - a step onto mud costs
+    // more time, yet it is one move like any other (see moveCount)
+    getParMoves() {
+        const state = this.state;
+        const gems = state.gemTiles.slice();
+        let from = state.playerTile;
+        let moves = 0;
+        while (gems.length > 0) {
+            let nearest = -1;
+            let nearestDistance = Infinity;
+            gems.forEach((gemTile, i) => {
+                const distance = this.getDistance(from, gemTile);
+                if (distance !== null && distance < nearestDistance) {
+                    nearest = i;
+                    nearestDistance = distance;
+                }
+            });
+            // Gems the player can't reach don't count
+            if (nearest === -1) break;
+            const gemTile = gems.splice(nearest, 1)[0];
+            moves += this.findPath(from, gemTile).length - 1;
+            from = gemTile;
+        }
+        return moves;
+    }
+
+    // A close escape: the last turn ended with the nearest enemy 2 hops off and this one further away
+    // Doesn't count while the enemies flee the orb or are frozen
+    scoreEscape() {
+        const state = this.state;
+        if (state.orbActive || state.powers.freeze > 0) {
+            state.closeCall = false;
+            return;
+        }
+        const distance = this.getClosestEnemyDistance();
+        if (state.closeCall && (distance === null || distance > 2)) {
+            this.addScore('escape', SCORING.escape);
+        }
+        state.closeCall = distance === 2;
+    }
+
+    // Finish the level - reason is 'caught', 'drowned' or 'burned' when the player loses
+    // A win scores the efficiency bonus: moves beyond par cost a share of it
+    endLevel(playerWins, reason = null) {
+        const state = this.state;
+        if (playerWins && state.parMoves > 0) {
+            this.addScore('efficiency', Math.round(SCORING.efficiency * Math.min(1, state.parMoves / state.moveCount)));
+        }
+        this.state.gameOver = true;
+        this.state.result = { playerWins, reason: playerWins ? null : reason };
+        this.emit('gameOver', this.state.result);
+    }
+
+    // Recording of the current level: its seed (or hand-made layout), difficulty and stealth plus every player move
+    // Starting the same level from the seed and replaying the moves reproduces the game exactly
+    getRecording() {
+        const state = this.state;
+        const recording = {
+            version: RECORDING_VERSION,
+            level: state.round,
+            seed: state.seed,
+            difficulty: state.difficulty,
+            stealth: state.stealth,
+            moves: state.moveLog.map(entry => ({ ...entry })),
+            result: state.result
+        };
+        if (this.layout) {
+            recording.layout = this.layout;
+        }
+        return recording;
+    }
+}
@@ -0,0 +1,77 @@
+// Achievements tracked off simulation events (storage is unavailable here, so unlocks aren't kept)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../simulation.js';
+import { AchievementTracker } from '../achievements.js';
+import { createTiles } from './helpers.js';
+
+const tiles = createTiles(1);
+const neighbors = tile => tiles[tile].neighbors;
+
+// A hand-made level 8 around tile 0, with lava two hops from the start that can only flow toward it
+function createLavaLayout() {
+    const start = 0;
+    const between = neighbors(start)[0];
+    const lava = neighbors(between).find(tile => tile !== start && !neighbors(start).includes(tile));
+    const blocked = neighbors(lava).filter(tile => tile !== between);
+    const gem = tiles.findIndex((tile, index) => index > 100 && !blocked.includes(index));
+    const layout = {
+        subdivisions: 3,
+        radius: 20,
+        tiles: { blocked, water: [], lava: [lava], ice: [], mud: [], crumbling: [], conveyor: [], portal: [] },
+        gems: [gem],
+        orb: null,
+        enemies: [],
+        playerStart: start,
+        rules: { lavaFlow: true }
+    };
+    // A tile to pace back and forth to that's nowhere near the lava
+    const away = neighbors(start).find(tile => tile !== between && !blocked.includes(tile)
+        && !neighbors(tile).includes(lava) && !neighbors(tile).includes(between));
+    return { layout, start, between, away };
+}
+
+test('lava that spreads up to the player spoils Cool Feet', () => {
+    const { layout, start, between, away } = createLavaLayout();
+    const sim = new Simulation();
+    const tracker = new AchievementTracker(sim);
+    sim.loadLevel(layout, tiles, 8);
+    const progress = () => tracker.progress.get('lava-clear');
+    assert.equal(progress().nearLava, false);
+
+    // Every step ends away from lava - it's the flow that reaches the player
+    while (!sim.state.lavaTiles.has(between)) {
+        assert.equal(progress().nearLava, false);
+        sim.movePlayer(sim.state.playerTile === start ? away : start);
+    }
+    assert.equal(sim.state.playerTile, start);
+    assert.equal(progress().nearLava, true);
+});
+
+test('starting next to lava spoils Cool Feet', () => {
+    const { layout, between } = createLavaLayout();
+    layout.tiles.lava.push(between);
+    const sim = new Simulation();
+    const tracker = new AchievementTracker(sim);
+    sim.loadLevel(layout, tiles, 8);
+    assert.equal(tracker.progress.get('lava-clear').nearLava, true);
+});
+
+test('Hat Trick needs three different enemies caught during one orb', () => {
+    const sim = new Simulation();
+    const unlocked = [];
+    const tracker = new AchievementTracker(sim, { onUnlock: achievement => unlocked.push(achievement.id) });
+    sim.loadLevel(createLavaLayout().layout, tiles, 8);
+
+    sim.emit('orbCollected', { tile: 0 });
+    [0, 1, 0, 1].forEach(enemy => sim.emit('enemyCaught', { enemy, tile: 0 }));
+    assert.deepEqual(unlocked, []);
+
+    // A new orb starts the count again
+    sim.emit('orbCollected', { tile: 0 });
+    [0, 1].forEach(enemy => sim.emit('enemyCaught', { enemy, tile: 0 }));
+    assert.deepEqual(unlocked, []);
+    sim.emit('enemyCaught', { enemy: 2, tile: 0 });
+    assert.deepEqual(unlocked, ['orb-hat-trick']);
+    assert.ok(tracker.unlocked['orb-hat-trick']);
+});
@@ -0,0 +1,36 @@
+// Shared setup for the tests: tile graphs, levels, a simple player and browser storage
+import { GeodesicHexSphere, tileGraphFromSphere } from '../geodesic.js';
+import { Simulation, getPlanetParamsForLevel } from '../simulation.js';
+
+const spheres = new Map();
+
+// A fresh tile graph for the level's planet size (each simulation gets its own copy)
+export function createTiles(level) {
+    const { radius, subdivisions } = getPlanetParamsForLevel(level);
+    if (!spheres.has(subdivisions)) spheres.set(subdivisions, new GeodesicHexSphere(radius, subdivisions));
+    return tileGraphFromSphere(spheres.get(subdivisions));
+}
+
+export function startLevel(level, seed) {
+    const sim = new Simulation();
+    sim.startLevel(level, seed, createTiles(level));
+    return sim;
+}
+
+// Step toward the nearest gem, or onto any tile the player can stand on once they're all taken
+export function nextStep(sim) {
+    const gem = sim.findNearestGemInfo(sim.state.playerTile);
+    if (gem) return gem.neighborTile;
+    return sim.state.tiles[sim.state.playerTile].neighbors.find(tile => sim.canStepOnto(tile));
+}
+
+// An in-memory localStorage for the modules that keep things there - empty on every call
+export function useMemoryStorage() {
+    const items = new Map();
+    globalThis.localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: key => { items.delete(key); }
+    };
+    return items;
+}
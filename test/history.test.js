@@ -0,0 +1,79 @@
+// Run history, high scores and stats, and the daily challenge's best results
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadRuns, recordRun, getHighScores, getRunStats } from '../history.js';
+import { getDailyChallenge, isBetterResult, recordResult, getBestResult } from '../daily.js';
+import { useMemoryStorage } from './helpers.js';
+
+let storage;
+beforeEach(() => { storage = useMemoryStorage(); });
+
+const createRun = (score, round = 1, deaths = []) => ({ round, score, moves: 10, gems: 2, reason: 'caught', seed: 1, deaths });
+
+test('a finished run is kept and placed in the high scores', () => {
+    assert.equal(recordRun(createRun(300)), 1);
+    assert.equal(recordRun(createRun(500)), 1);
+    assert.equal(recordRun(createRun(400)), 2);
+    // Ties go to the further round, then the earlier run
+    assert.equal(recordRun(createRun(400)), 3);
+    assert.equal(recordRun(createRun(400, 2)), 2);
+
+    const runs = loadRuns();
+    assert.equal(runs.length, 5);
+    assert.match(runs[0].date, /^\d{4}-\d{2}-\d{2}$/);
+    assert.deepEqual(getHighScores(runs, 3).map(({ score, round }) => [score, round]), [[500, 1], [400, 2], [400, 1]]);
+});
+
+test('a run is placed among the runs that are kept, not those dropped', () => {
+    // The oldest of a full history holds the best score - the new run pushes it out
+    const runs = [createRun(1000), ...Array.from({ length: 199 }, () => createRun(100))];
+    storage.set('vibe-star-chase-history', JSON.stringify(runs));
+
+    assert.equal(recordRun(createRun(500)), 1);
+    assert.equal(loadRuns().length, 200);
+    assert.equal(Math.max(...loadRuns().map(run => run.score)), 500);
+});
+
+test('broken history storage reads as no runs', () => {
+    storage.set('vibe-star-chase-history', '{ broken');
+    assert.deepEqual(loadRuns(), []);
+    storage.set('vibe-star-chase-history', '{}');
+    assert.deepEqual(loadRuns(), []);
+});
+
+test('stats total every round lost, by cause and by level', () => {
+    const stats = getRunStats([
+        createRun(100, 3, [{ round: 2, reason: 'drowned' }, { round: 3, reason: 'caught' }]),
+        createRun(50, 1, [{ round: 1, reason: 'caught' }]),
+        // Saves from before deaths were listed
+        { round: 2, score: 80 }
+    ]);
+
+    assert.equal(stats.runs, 3);
+    assert.deepEqual(stats.deaths, { caught: 2, drowned: 1, burned: 0 });
+    assert.deepEqual(stats.levels.map(({ level, reached }) => [level, reached]), [[1, 3], [2, 2], [3, 1]]);
+    assert.deepEqual(stats.levels[1].deaths, { caught: 0, drowned: 1, burned: 0 });
+});
+
+test('daily results rank surviving, then gems, then fewer moves', () => {
+    const result = (survived, gems, moves) => ({ survived, gems, totalGems: 5, moves });
+    assert.ok(isBetterResult(result(false, 0, 99), null));
+    assert.ok(isBetterResult(result(true, 1, 99), result(false, 5, 10)));
+    assert.ok(isBetterResult(result(true, 5, 99), result(true, 4, 10)));
+    assert.ok(isBetterResult(result(true, 5, 30), result(true, 5, 40)));
+    assert.ok(!isBetterResult(result(true, 5, 40), result(true, 5, 40)));
+
+    const { dateKey } = getDailyChallenge(new Date('2026-03-01T12:00:00Z'));
+    assert.ok(recordResult(dateKey, result(false, 3, 20)));
+    assert.ok(!recordResult(dateKey, result(false, 2, 10)));
+    assert.deepEqual(getBestResult(dateKey), result(false, 3, 20));
+});
+
+test('every player gets the same daily challenge on the same day', () => {
+    const morning = getDailyChallenge(new Date('2026-03-01T00:30:00Z'));
+    const evening = getDailyChallenge(new Date('2026-03-01T23:30:00Z'));
+    assert.deepEqual(morning, evening);
+    assert.equal(morning.dateKey, '2026-03-01');
+    assert.ok(morning.level >= 3 && morning.level <= 9);
+    assert.notEqual(getDailyChallenge(new Date('2026-03-02T12:00:00Z')).seed, morning.seed);
+});
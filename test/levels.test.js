@@ -0,0 +1,108 @@
+// Level files: the versioned format, and the playability check files get on loading
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLevelFile, toLevelFile, LEVEL_FORMAT_VERSION } from '../levels.js';
+import { createEmptyLayout, validateLayout } from '../editor.js';
+import { createTiles } from './helpers.js';
+
+const tiles = createTiles(1);
+const neighbors = tile => tiles[tile].neighbors;
+
+// An empty level 1 planet with one gem 3 hops from the start, clear of the blocked pentagons
+function createLayout() {
+    const layout = createEmptyLayout(tiles, 3);
+    let ring = [layout.playerStart];
+    const seen = new Set(ring);
+    for (let hops = 0; hops < 3; hops++) {
+        ring = ring.flatMap(neighbors).filter(tile => !seen.has(tile) && seen.add(tile));
+    }
+    layout.gems.push(ring.find(tile => [tile, ...neighbors(tile)].every(near => !tiles[near].isPentagon)));
+    return layout;
+}
+
+// Level file contents with some fields replaced
+function createFile(changes = {}) {
+    return { ...toLevelFile(createLayout()), ...changes };
+}
+
+test('a layout survives the trip through a level file', () => {
+    const layout = createLayout();
+    layout.name = 'Round trip';
+    layout.tiles.mud.push(100);
+    layout.tiles.conveyor.push([200, neighbors(200)[0]]);
+    layout.tiles.portal.push(300, 400);
+    layout.rules.portals.push({ oneWay: true, switchTurns: 0 });
+
+    assert.deepEqual(parseLevelFile(JSON.stringify(toLevelFile(layout))), layout);
+});
+
+test('older versions are read, with defaults for what they lack', () => {
+    const file = createFile({ version: 1 });
+    delete file.radius;
+    delete file.rules;
+    ['ice', 'mud', 'crumbling', 'conveyor'].forEach(type => delete file.tiles[type]);
+
+    const layout = parseLevelFile(file);
+    assert.deepEqual(layout.tiles.ice, []);
+    assert.deepEqual(layout.tiles.conveyor, []);
+    assert.equal(layout.radius, createLayout().radius);
+    assert.equal(layout.rules.enemyCount, 0);
+    assert.equal(layout.rules.tide, false);
+});
+
+test('bad level files are refused with what is wrong', () => {
+    const cases = [
+        ['{ not json', /not valid JSON/],
+        [{ ...createFile(), format: 'something-else' }, /Not a Vibe Star Chase level file/],
+        [createFile({ version: LEVEL_FORMAT_VERSION + 1 }), /Unsupported level file version/],
+        [createFile({ version: 0 }), /Unsupported level file version/],
+        [createFile({ subdivisions: 9 }), /subdivisions must be/],
+        [createFile({ gems: [] }), /at least one gem/],
+        [createFile({ gems: [tiles.length] }), /gems must be a list of tile indices/],
+        [createFile({ playerStart: -1 }), /playerStart must be/],
+        [createFile({ orb: 1.5 }), /orb must be/],
+        [createFile({ rules: { enemyTypes: ['dragon'] } }), /rules.enemyTypes/],
+        [createFile({ rules: { tide: 'yes' } }), /rules.tide/]
+    ];
+    cases.forEach(([file, message]) => assert.throws(() => parseLevelFile(file), message));
+
+    const twoTypes = createFile();
+    twoTypes.tiles = { ...twoTypes.tiles, water: [50], lava: [50] };
+    assert.throws(() => parseLevelFile(twoTypes), /Tile 50 has more than one type/);
+    const oddPortals = createFile();
+    oddPortals.tiles = { ...oddPortals.tiles, portal: [50] };
+    assert.throws(() => parseLevelFile(oddPortals), /whole pairs of portals/);
+});
+
+test('a playable layout has no problems', () => {
+    assert.deepEqual(validateLayout(createLayout(), tiles), []);
+});
+
+test('unplayable layouts list each problem', () => {
+    const start = createLayout().playerStart;
+    const problemsWith = change => {
+        const layout = createLayout();
+        change(layout);
+        return validateLayout(layout, tiles);
+    };
+
+    assert.deepEqual(problemsWith(layout => { layout.gems = []; }), ['Place at least one gem']);
+    assert.ok(problemsWith(layout => { layout.tiles.water.push(start); })
+        .includes('The player start is on a blocked, water or lava tile'));
+    assert.deepEqual(problemsWith(layout => { layout.tiles.lava.push(layout.gems[0]); }),
+        ['Gem 1 is on a blocked, water or lava tile']);
+    assert.deepEqual(problemsWith(layout => { layout.tiles.blocked.push(...neighbors(layout.gems[0])); }),
+        ["Gem 1 can't be reached from the start"]);
+    assert.deepEqual(problemsWith(layout => {
+        layout.orb = 100;
+        layout.tiles.lava.push(100);
+    }), ['The orb is on a blocked, water or lava tile']);
+    assert.deepEqual(problemsWith(layout => { layout.tiles.portal.push(100); }),
+        ['Portals come in pairs - place a partner for the last portal']);
+    const far = tiles.find(tile => tile.index !== start && !neighbors(start).includes(tile.index) &&
+        !neighbors(tile.index).includes(neighbors(start)[0]) && !tile.isPentagon).index;
+    assert.deepEqual(problemsWith(layout => { layout.tiles.conveyor.push([neighbors(start)[0], far]); }),
+        [`The conveyor on tile ${neighbors(start)[0]} doesn't push onto a neighboring tile`]);
+    assert.deepEqual(problemsWith(layout => { layout.enemies.push(neighbors(start)[1]); }),
+        ['Enemy 1 starts next to the player']);
+});
@@ -0,0 +1,40 @@
+// Replays: a recording played back through a fresh simulation ends exactly where the level did
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../simulation.js';
+import { ReplayPlayer } from '../replay.js';
+import { createTiles } from './helpers.js';
+
+// Play a level to its end: auto-path to the nearest gem, a key press onto any open tile once none are left
+function playLevel(level, seed) {
+    const sim = new Simulation();
+    sim.startLevel(level, seed, createTiles(level));
+    for (let moves = 0; !sim.state.gameOver && moves < 500; moves++) {
+        const gem = sim.findNearestGemInfo(sim.state.playerTile);
+        if (gem) {
+            sim.movePlayer(gem.neighborTile, 'auto');
+        } else {
+            const step = sim.state.tiles[sim.state.playerTile].neighbors.find(tile => sim.canStepOnto(tile));
+            if (step === undefined) break;
+            sim.movePlayer(step, 'key');
+        }
+    }
+    return sim;
+}
+
+[[2, 7], [4, 99], [6, 2024]].forEach(([level, seed]) => {
+    test(`level ${level} seed ${seed} replays to the same end`, () => {
+        const sim = playLevel(level, seed);
+        // Recordings are saved and loaded as JSON
+        const recording = JSON.parse(JSON.stringify(sim.getRecording()));
+
+        const replayed = new Simulation();
+        replayed.startLevel(recording.level, recording.seed, createTiles(recording.level));
+        let finished = false;
+        new ReplayPlayer(replayed, recording, { onFinish: () => { finished = true; } }).skipToEnd();
+
+        assert.ok(finished);
+        assert.deepEqual(replayed.state.result, sim.state.result);
+        assert.equal(JSON.stringify(replayed.getSnapshot()), JSON.stringify(sim.getSnapshot()));
+    });
+});
@@ -0,0 +1,232 @@
+// Simulation rules: snapshots and undo, spawn distance, hazards, par and score
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    Simulation, MIN_SPAWN_DISTANCE, MAX_TIDAL_SHARE, TIDE_TURNS, RESPAWN_TURNS, SCORING, SCORE_PARTS
+} from '../simulation.js';
+import { createEmptyLayout } from '../editor.js';
+import { createTiles, startLevel, nextStep } from './helpers.js';
+
+// Moves (with each move's cost) from a tile to everything within limit, found step by step -
+// independent of the simulation's own distance fields
+function findReach(sim, fromIndex, actor, limit) {
+    const distances = new Map([[fromIndex, 0]]);
+    const buckets = [[fromIndex]];
+    for (let distance = 0; distance < buckets.length && distance < limit; distance++) {
+        for (const tile of buckets[distance] || []) {
+            if (distances.get(tile) !== distance) continue;
+            for (const neighbor of sim.state.tiles[tile].neighbors) {
+                const landing = sim.getPathStep(tile, neighbor, -1, actor);
+                if (landing === -1) continue;
+                const next = distance + (actor === 'player' ? 1 : sim.getTileRule(landing, actor).cost);
+                if (distances.has(landing) && distances.get(landing) <= next) continue;
+                distances.set(landing, next);
+                (buckets[next] ||= []).push(landing);
+            }
+        }
+    }
+    return distances;
+}
+
+test('a restored snapshot plays on exactly like the original', () => {
+    const original = startLevel(5, 321);
+    for (let i = 0; i < 4; i++) original.movePlayer(nextStep(original));
+
+    const snapshot = JSON.parse(JSON.stringify(original.getSnapshot()));
+    const restored = new Simulation();
+    restored.restoreSnapshot(snapshot, createTiles(5));
+    assert.deepEqual(JSON.parse(JSON.stringify(restored.getSnapshot())), snapshot);
+
+    for (let i = 0; i < 30 && !original.state.gameOver; i++) {
+        const step = nextStep(original);
+        original.movePlayer(step);
+        restored.movePlayer(step);
+    }
+    assert.equal(JSON.stringify(restored.getSnapshot()), JSON.stringify(original.getSnapshot()));
+});
+
+test('enemies spawn out of reach of every player route, portals included', () => {
+    const cases = [[4, 15838]]; // A portal next to the start once dropped the player by a spawn here
+    for (let level = 1; level <= 6; level++) {
+        for (let seed = 1; seed <= 6; seed++) cases.push([level, seed * 7919]);
+    }
+
+    cases.forEach(([level, seed]) => {
+        const sim = startLevel(level, seed);
+        const reach = findReach(sim, sim.state.playerTile, 'player', MIN_SPAWN_DISTANCE);
+        sim.state.enemySpawns.forEach(spawn => {
+            const enemyReach = findReach(sim, spawn, 'enemy', MIN_SPAWN_DISTANCE);
+            reach.forEach((moves, tile) => {
+                if (!enemyReach.has(tile)) return;
+                assert.ok(moves + enemyReach.get(tile) >= MIN_SPAWN_DISTANCE,
+                    `level ${level} seed ${seed}: spawn ${spawn} meets the player at tile ${tile}`);
+            });
+        });
+    });
+});
+
+test('the tide takes pool shores only until it reaches its share of the planet', () => {
+    for (let seed = 1; seed <= 5; seed++) {
+        const sim = startLevel(6, seed);
+        const { tiles, tidalTiles, waterTiles } = sim.state;
+        assert.ok(tidalTiles.size > 0, `seed ${seed}: no tide`);
+
+        // The last pool joined while the tide was still short of its share, so it can only overshoot
+        // by one pool's shore
+        const shores = sim.findPools().map(pool => new Set(pool.flatMap(tile => tiles[tile].neighbors)
+            .filter(tile => !waterTiles.has(tile) && tidalTiles.has(tile))));
+        const largestShore = Math.max(...shores.map(shore => shore.size));
+        assert.ok(tidalTiles.size < tiles.length * MAX_TIDAL_SHARE + largestShore,
+            `seed ${seed}: ${tidalTiles.size} tidal tiles`);
+
+        tidalTiles.forEach(tile => {
+            assert.equal(sim.getTileType(tile), 'ground');
+            assert.ok(tiles[tile].neighbors.some(neighbor => waterTiles.has(neighbor)));
+        });
+    }
+});
+
+test('hazards change once a turn, in one event, on the tiles warned the turn before', () => {
+    const sim = startLevel(6, 2);
+    let warned = new Map();
+    let changesThisTurn = 0;
+    let changes = 0;
+    sim.on('hazardChange', ({ tiles }) => {
+        changesThisTurn++;
+        changes++;
+        tiles.forEach(([tile, type]) => assert.equal(warned.get(tile), type, `tile ${tile} changed unwarned`));
+    });
+    sim.on('hazardWarning', ({ tiles }) => { warned = new Map(tiles); });
+    sim.on('turnEnd', () => {
+        assert.ok(changesThisTurn <= 1);
+        changesThisTurn = 0;
+    });
+
+    for (let turn = 0; turn < TIDE_TURNS * 3 && !sim.state.gameOver; turn++) {
+        const step = nextStep(sim);
+        if (step === undefined) break;
+        sim.movePlayer(step);
+    }
+    assert.ok(changes > 0, 'the tide never turned');
+});
+
+test('paths go round a tile warned to turn into lava', () => {
+    const tiles = createTiles(1);
+    const neighbors = tile => tiles[tile].neighbors;
+
+    // One lava tile that can only flow onto `warned` (a hexagon), and two tiles either side of `warned`
+    // with nothing else between them - so their only short path crosses it
+    const warned = tiles.findIndex(tile => tile.neighbors.length === 6);
+    const lava = neighbors(warned)[0];
+    const ring = neighbors(warned).filter(tile => tile !== lava && !neighbors(tile).includes(lava));
+    const middle = ring.find(tile => ring.every(other => other === tile || neighbors(tile).includes(other)));
+    const [from, to] = ring.filter(tile => tile !== middle);
+    const blocked = [...neighbors(lava).filter(tile => tile !== warned), middle];
+
+    // The player paces between two tiles on the far side of the planet while the lava gets ready to flow
+    const start = tiles.findIndex((tile, index) => index > 300 && !blocked.includes(index));
+    const away = neighbors(start)[0];
+    const sim = new Simulation();
+    sim.loadLevel({
+        subdivisions: 3,
+        radius: 20,
+        tiles: { blocked, water: [], lava: [lava], ice: [], mud: [], crumbling: [], conveyor: [], portal: [] },
+        gems: [tiles.findIndex((tile, index) => index > 200 && index !== start && index !== away)],
+        orb: null,
+        enemies: [],
+        playerStart: start,
+        rules: { lavaFlow: true }
+    }, tiles, 10);
+
+    assert.ok(sim.findPath(from, to).includes(warned));
+    while (sim.state.hazardWarnings.get(warned) !== 'lava') {
+        assert.ok(!sim.state.gameOver);
+        sim.movePlayer(sim.state.playerTile === start ? away : start);
+    }
+    const path = sim.findPath(from, to);
+    assert.ok(path);
+    assert.ok(!path.includes(warned));
+});
+
+test('caught enemies come back on time while the rest are frozen', () => {
+    const sim = startLevel(2, 11);
+    const start = sim.state.playerTile;
+    const away = sim.state.tiles[start].neighbors.find(tile => sim.canStepOnto(tile) && !sim.state.gemTiles.includes(tile));
+    const spawn = sim.state.enemySpawns[0];
+    sim.sendEnemyHome(0);
+    sim.state.powers.freeze = RESPAWN_TURNS + 2;
+
+    for (let turn = 1; turn <= RESPAWN_TURNS; turn++) {
+        assert.equal(sim.state.enemyTiles[0], -1, `back after ${turn - 1} turns`);
+        sim.movePlayer(sim.state.playerTile === start ? away : start);
+    }
+    assert.ok(sim.state.powers.freeze > 0);
+    assert.equal(sim.state.enemyTiles[0], spawn);
+});
+
+// A hand-made level 1 with no enemies: the start ringed by mud and one gem on the far side
+function loadMudLevel() {
+    const tiles = createTiles(1);
+    const layout = createEmptyLayout(tiles, 3);
+    const start = layout.playerStart;
+    layout.tiles.mud.push(...tiles[start].neighbors.filter(tile => !layout.tiles.blocked.includes(tile)));
+    const taken = new Set([...layout.tiles.blocked, ...layout.tiles.mud, start]);
+    layout.gems.push(tiles.findLast(tile => !taken.has(tile.index) && !tile.neighbors.some(near => taken.has(near))).index);
+    const sim = new Simulation();
+    sim.loadLevel(layout, tiles);
+    return sim;
+}
+
+test('par counts moves, with a step onto mud one move like any other', () => {
+    const sim = loadMudLevel();
+    const { playerTile, gemTiles, parMoves } = sim.state;
+    assert.equal(parMoves, sim.findPath(playerTile, gemTiles[0]).length - 1);
+    // The mud costs an extra enemy turn on the path, but not an extra move
+    assert.equal(sim.getDistance(playerTile, gemTiles[0]), parMoves + 1);
+
+    while (!sim.state.gameOver) sim.movePlayer(nextStep(sim), 'auto');
+    assert.ok(sim.state.result.playerWins);
+    assert.equal(sim.state.moveCount, parMoves);
+    assert.equal(sim.state.scoreParts.efficiency, SCORING.efficiency);
+});
+
+test('moves over par cost a share of the efficiency bonus', () => {
+    const sim = loadMudLevel();
+    const start = sim.state.playerTile;
+    const awarded = [];
+    sim.on('scoreAwarded', detail => awarded.push(detail));
+
+    // A detour out and back before heading for the gem
+    sim.movePlayer(sim.state.tiles[start].neighbors.find(tile => sim.canStepOnto(tile)));
+    sim.movePlayer(start);
+    while (!sim.state.gameOver) sim.movePlayer(nextStep(sim), 'auto');
+
+    const { parMoves, moveCount, score, scoreParts } = sim.state;
+    assert.equal(moveCount, parMoves + 2);
+    assert.equal(scoreParts.efficiency, Math.round(SCORING.efficiency * parMoves / moveCount));
+    assert.equal(scoreParts.gem, SCORING.gem);
+    assert.equal(score, SCORE_PARTS.reduce((total, part) => total + scoreParts[part], 0));
+    assert.equal(score, awarded.reduce((total, { points }) => total + points, 0));
+    assert.equal(awarded[awarded.length - 1].score, score);
+});
+
+test('undo rolls each turn back from the snapshot taken before it', () => {
+    // Practice mode keeps the live snapshots and restores them onto the same tiles
+    const sim = startLevel(3, 77);
+    const undoStack = [];
+    const before = [];
+    for (let turn = 0; turn < 25 && !sim.state.gameOver; turn++) {
+        undoStack.push(sim.getSnapshot());
+        before.push(JSON.stringify(sim.getSnapshot()));
+        sim.movePlayer(nextStep(sim));
+    }
+    assert.ok(sim.state.gemsCollected > 0 && sim.state.score > 0);
+
+    while (undoStack.length > 0) {
+        sim.restoreSnapshot(undoStack.pop(), sim.state.tiles);
+        assert.equal(JSON.stringify(sim.getSnapshot()), before.pop());
+    }
+    assert.equal(sim.state.gemsCollected, 0);
+    assert.equal(sim.state.score, 0);
+    assert.equal(sim.state.gameOver, false);
+});